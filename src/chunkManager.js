@@ -0,0 +1,58 @@
+// Streams procedurally generated chunks in and out around a point of interest.
+// Chunks are kept in least-recently-used order; once more than maxChunks are
+// loaded, the stalest ones outside the current working set are unloaded.
+// Generation must be deterministic per chunk so a reloaded chunk is identical.
+export function createChunkManager({ maxChunks, loadChunk, unloadChunk }) {
+  // Map iteration order doubles as the LRU order: oldest first
+  const loadedChunks = new Map();
+
+  function chunkKey(chunkX, chunkY) {
+    return `${chunkX},${chunkY}`;
+  }
+
+  return {
+    maxChunks,
+
+    get size() {
+      return loadedChunks.size;
+    },
+
+    has(chunkX, chunkY) {
+      return loadedChunks.has(chunkKey(chunkX, chunkY));
+    },
+
+    // Mark a chunk as in use, loading it first if needed
+    touch(chunkX, chunkY) {
+      const key = chunkKey(chunkX, chunkY);
+      if (loadedChunks.has(key)) {
+        loadedChunks.delete(key);
+      } else {
+        loadChunk(chunkX, chunkY);
+      }
+      loadedChunks.set(key, { chunkX, chunkY });
+    },
+
+    // Unload least recently used chunks until the budget is met. Chunks in
+    // keepKeys (the current working set) are never unloaded, even if the
+    // working set alone exceeds the budget.
+    trim(keepKeys = new Set()) {
+      if (loadedChunks.size <= this.maxChunks) return;
+
+      for (const [key, chunk] of loadedChunks) {
+        if (loadedChunks.size <= this.maxChunks) break;
+        if (keepKeys.has(key)) continue;
+        loadedChunks.delete(key);
+        unloadChunk(chunk.chunkX, chunk.chunkY);
+      }
+    },
+
+    clear() {
+      for (const chunk of loadedChunks.values()) {
+        unloadChunk(chunk.chunkX, chunk.chunkY);
+      }
+      loadedChunks.clear();
+    },
+
+    chunkKey
+  };
+}
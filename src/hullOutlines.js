@@ -0,0 +1,142 @@
+// Top-down hull outlines, shared by the renderer (drawing) and the
+// simulation (collision), so a ship hits exactly what the player sees.
+// An outline is a closed list of path commands in ship space, with the
+// pointed bow facing positive X:
+//   { type: 'move', x, y }
+//   { type: 'quadratic', cpx, cpy, x, y }
+//   { type: 'bezier', cp1x, cp1y, cp2x, cp2y, x, y }
+
+export function getSurfaceHullOutline(length, width, profile = 'classic') {
+  const halfWidth = width / 2;
+  const isCruiseShip = profile === 'cruise';
+  const isStreamlined = profile === 'streamlined';
+  const isModernLiner = profile === 'modern';
+  const bowShoulder = isStreamlined
+    ? 0.22
+    : (isModernLiner ? 0.18 : (isCruiseShip ? 0.3 : 0.26));
+  const sternX = isStreamlined ? -0.49 : (isModernLiner ? -0.48 : -0.47);
+  const sternWidth = isCruiseShip
+    ? 0.78
+    : (isModernLiner ? 0.7 : (isStreamlined ? 0.52 : 0.64));
+
+  return [
+    { type: 'move', x: length * 0.5, y: 0 },
+    {
+      type: 'bezier',
+      cp1x: length * 0.43, cp1y: -halfWidth * bowShoulder,
+      cp2x: length * 0.34, cp2y: -halfWidth * 0.82,
+      x: length * 0.14, y: -halfWidth
+    },
+    {
+      type: 'bezier',
+      cp1x: -length * 0.14, cp1y: -halfWidth,
+      cp2x: -length * 0.35, cp2y: -halfWidth * 0.9,
+      x: length * sternX, y: -halfWidth * sternWidth
+    },
+    {
+      type: 'quadratic',
+      cpx: -length * 0.515, cpy: 0,
+      x: length * sternX, y: halfWidth * sternWidth
+    },
+    {
+      type: 'bezier',
+      cp1x: -length * 0.35, cp1y: halfWidth * 0.9,
+      cp2x: -length * 0.14, cp2y: halfWidth,
+      x: length * 0.14, y: halfWidth
+    },
+    {
+      type: 'bezier',
+      cp1x: length * 0.34, cp1y: halfWidth * 0.82,
+      cp2x: length * 0.43, cp2y: halfWidth * bowShoulder,
+      x: length * 0.5, y: 0
+    }
+  ];
+}
+
+export function getSubmarineHullOutline(length, width) {
+  const halfWidth = width / 2;
+  return [
+    { type: 'move', x: length * 0.5, y: 0 },
+    {
+      type: 'bezier',
+      cp1x: length * 0.42, cp1y: -halfWidth * 0.58,
+      cp2x: length * 0.27, cp2y: -halfWidth,
+      x: 0, y: -halfWidth
+    },
+    {
+      type: 'bezier',
+      cp1x: -length * 0.27, cp1y: -halfWidth,
+      cp2x: -length * 0.43, cp2y: -halfWidth * 0.58,
+      x: -length * 0.49, y: 0
+    },
+    {
+      type: 'bezier',
+      cp1x: -length * 0.43, cp1y: halfWidth * 0.58,
+      cp2x: -length * 0.27, cp2y: halfWidth,
+      x: 0, y: halfWidth
+    },
+    {
+      type: 'bezier',
+      cp1x: length * 0.27, cp1y: halfWidth,
+      cp2x: length * 0.42, cp2y: halfWidth * 0.58,
+      x: length * 0.5, y: 0
+    }
+  ];
+}
+
+// The outline for a ship of the given category
+export function getHullOutline(category, length, width, profile) {
+  return category === 'Submarines'
+    ? getSubmarineHullOutline(length, width)
+    : getSurfaceHullOutline(length, width, profile);
+}
+
+// Add an outline to a canvas context as a new closed path
+export function traceOutline(ctx, outline) {
+  ctx.beginPath();
+  for (const command of outline) {
+    if (command.type === 'move') {
+      ctx.moveTo(command.x, command.y);
+    } else if (command.type === 'quadratic') {
+      ctx.quadraticCurveTo(command.cpx, command.cpy, command.x, command.y);
+    } else {
+      ctx.bezierCurveTo(command.cp1x, command.cp1y, command.cp2x, command.cp2y, command.x, command.y);
+    }
+  }
+  ctx.closePath();
+}
+
+// Approximate an outline with a polygon, splitting every curve into
+// `segmentsPerCurve` straight pieces. The closing point is left out.
+export function flattenOutline(outline, segmentsPerCurve = 8) {
+  const points = [];
+  let startX = 0;
+  let startY = 0;
+
+  for (const command of outline) {
+    if (command.type === 'move') {
+      points.push({ x: command.x, y: command.y });
+    } else {
+      for (let i = 1; i <= segmentsPerCurve; i++) {
+        const t = i / segmentsPerCurve;
+        const u = 1 - t;
+        if (command.type === 'quadratic') {
+          points.push({
+            x: u * u * startX + 2 * u * t * command.cpx + t * t * command.x,
+            y: u * u * startY + 2 * u * t * command.cpy + t * t * command.y
+          });
+        } else {
+          points.push({
+            x: u * u * u * startX + 3 * u * u * t * command.cp1x + 3 * u * t * t * command.cp2x + t * t * t * command.x,
+            y: u * u * u * startY + 3 * u * u * t * command.cp1y + 3 * u * t * t * command.cp2y + t * t * t * command.y
+          });
+        }
+      }
+    }
+    startX = command.x;
+    startY = command.y;
+  }
+
+  points.pop(); // Same as the first point
+  return points;
+}
@@ -0,0 +1,71 @@
+// Polygon helpers for collision. Polygons are arrays of { x, y } points in
+// order around the outline; they may be concave.
+
+// Move local points to world space: rotate about the origin, then offset
+export function transformPoints(points, x, y, rotation) {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return points.map(point => ({
+    x: x + point.x * cos - point.y * sin,
+    y: y + point.x * sin + point.y * cos
+  }));
+}
+
+// Distance from the origin to the farthest point, for a circle broad phase
+export function getPolygonRadius(points) {
+  return points.reduce((radius, point) => Math.max(radius, Math.hypot(point.x, point.y)), 0);
+}
+
+function cross(p, q, r) {
+  return (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+// Where segment ab crosses segment cd (they must intersect)
+function segmentIntersection(a, b, c, d) {
+  const t = cross(c, d, a) / (cross(c, d, a) - cross(c, d, b));
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+// Even-odd rule point test
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Middle of the area where two polygons touch: the average of the points
+// where their edges cross and the corners of each inside the other. Null
+// when they don't touch.
+export function getOverlapCenter(first, second) {
+  const points = [];
+  for (let i = 0, j = first.length - 1; i < first.length; j = i++) {
+    for (let k = 0, l = second.length - 1; k < second.length; l = k++) {
+      if (segmentsIntersect(first[j], first[i], second[l], second[k])) {
+        points.push(segmentIntersection(first[j], first[i], second[l], second[k]));
+      }
+    }
+  }
+  points.push(...first.filter(point => isPointInPolygon(point, second)));
+  points.push(...second.filter(point => isPointInPolygon(point, first)));
+  if (points.length === 0) return null;
+
+  return {
+    x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+    y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+  };
+}
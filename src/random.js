@@ -0,0 +1,53 @@
+// Seeded pseudo-random numbers for world generation. The same seed always
+// produces the same sequence, so maps can be replayed and shared.
+
+// Largest seed value; seeds are unsigned 32-bit integers.
+const MAX_SEED = 0xffffffff;
+
+// Mulberry32: tiny, fast, and good enough for procedural placement.
+// Returns a function producing floats in [0, 1) like Math.random().
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Mix several integers (for example a world seed and chunk coordinates) into
+// one well-distributed seed, independent of the order chunks are visited in.
+export function hashSeed(...values) {
+  let hash = 0x811c9dc5;
+  for (const value of values) {
+    hash = Math.imul(hash ^ (value | 0), 0x01000193);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0x5bd1e995);
+    hash ^= hash >>> 15;
+  }
+  return hash >>> 0;
+}
+
+// Fresh seed for a new, unshared voyage.
+export function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+// Parse a seed from user input such as a ?seed= URL parameter. Numbers are
+// used as-is; any other text is hashed so words work as seeds too.
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+  if (/^\d+$/.test(text) && Number(text) <= MAX_SEED) {
+    return Number(text);
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,3923 @@
+// Canvas renderer. Everything here only reads the simulation state; the
+// renderer keeps nothing but its own animation clock and UI hit areas.
+import {
+  batteryCharge,
+  batteryConfig,
+  boilerConfig,
+  boilerPressure,
+  boilerRooms,
+  camera,
+  coalConfig,
+  currentCoal,
+  damageConfig,
+  depthLevels,
+  fuelRigConfig,
+  forcedToSurface,
+  fuelRigs,
+  gameOverReason,
+  gameState,
+  getIceFloePoints,
+  getIceFloeRotation,
+  getDepthLevel,
+  getFiringBoilerRoomCount,
+  getFloodDraft,
+  getFloodedCompartmentCount,
+  getShipVelocity,
+  getIslandPortRotation,
+  getSeabedDepth,
+  getViewMode,
+  getWreckScale,
+  goal,
+  goalConfig,
+  hash01,
+  icebergIndex,
+  icebergsConfig,
+  isDockedAtStartPort,
+  isRefueling,
+  isSubmerged,
+  krakenChaseActive,
+  krakens,
+  listShipTypes,
+  nearFuelRig,
+  previousState,
+  propulsionConfig,
+  seabedConfig,
+  ship,
+  shipConfig,
+  shipTypes,
+  shipwreckConfig,
+  sightConfig,
+  sightings,
+  sonarConfig,
+  sonarCooldown,
+  sonarEchoes,
+  sonarPing,
+  simulationConfig,
+  startPort,
+  stokingLevel,
+  telegraphOrders,
+  totalDistance,
+  voyageResult,
+  voyageSteps,
+  wind,
+  windConfig,
+  wreckIndex,
+  worldConfig,
+  worldSeed
+} from './simulation.js';
+import { getSubmarineHullOutline, getSurfaceHullOutline, traceOutline } from './hullOutlines.js';
+
+// Get canvas and context
+export const canvas = document.getElementById('gameCanvas');
+const ctx = canvas.getContext('2d');
+
+// Logical drawing size in CSS pixels. The backing store is pixelRatio times
+// larger for sharp HiDPI output, but every renderer and every hit area works
+// in these logical units, which match mouse coordinates.
+export const view = {
+  width: canvas.width,
+  height: canvas.height,
+  pixelRatio: 1
+};
+
+export function resizeView(width, height, pixelRatio) {
+  view.width = width;
+  view.height = height;
+  view.pixelRatio = pixelRatio;
+  canvas.width = Math.round(width * pixelRatio);
+  canvas.height = Math.round(height * pixelRatio);
+}
+
+// Reset to the logical coordinate space (undoing any nested transform)
+function resetTransform() {
+  ctx.setTransform(view.pixelRatio, 0, 0, view.pixelRatio, 0, 0);
+}
+
+let animationTime = 0;
+
+// Camera position and ship heading blended between the last two simulation
+// steps, so motion stays smooth when steps and frames don't line up.
+const renderCamera = {
+  x: camera.x,
+  y: camera.y,
+  zoom: camera.zoom,
+  shipRotation: ship.rotation
+};
+let interpolationAlpha = 1;
+
+function lerp(from, to, alpha) {
+  return from + (to - from) * alpha;
+}
+
+// Blend headings along the shortest arc so a wrapped or reflected angle
+// never spins the sprite the long way round.
+function lerpAngle(from, to, alpha) {
+  return from + Math.atan2(Math.sin(to - from), Math.cos(to - from)) * alpha;
+}
+
+// Every world renderer projects through these, so they all honor the zoom.
+// The ship stays at the center of the screen at any zoom level.
+function worldToScreenX(worldX) {
+  return (worldX - renderCamera.x) * renderCamera.zoom + view.width / 2;
+}
+
+function worldToScreenY(worldY) {
+  return (worldY - renderCamera.y) * renderCamera.zoom + view.height / 2;
+}
+
+// Whether something centered on a screen point, reaching worldReach world
+// units from it, can overlap the canvas.
+function isOnScreen(screenX, screenY, worldReach) {
+  const margin = worldReach * renderCamera.zoom;
+  return screenX >= -margin && screenX <= view.width + margin &&
+         screenY >= -margin && screenY <= view.height + margin;
+}
+
+// The world rectangle currently on screen
+function getVisibleWorldBounds() {
+  const halfWidth = view.width / 2 / renderCamera.zoom;
+  const halfHeight = view.height / 2 / renderCamera.zoom;
+  return {
+    minX: renderCamera.x - halfWidth,
+    maxX: renderCamera.x + halfWidth,
+    minY: renderCamera.y - halfHeight,
+    maxY: renderCamera.y + halfHeight
+  };
+}
+
+// Screen-space UI state shared with the input handlers in main.js
+export const ui = {
+  notice: null, // Short message shown at the top of the screen
+  menu: {
+    selectedIndex: 0, // Highlighted entry of listShipTypes()
+    shipCards: [], // Card bounds with their ship index (for click detection)
+    startButton: null // Start Voyage button bounds (for click detection)
+  },
+  minimapBounds: null, // Minimap bounds (for click detection)
+  gameOverButton: null, // Game over button bounds (for click detection)
+  hangarButtons: null // Hangar confirmation buttons (for click detection)
+};
+
+// Trace the top-down outline used by both the main view and the minimap.
+// The pointed bow faces positive X before the ship rotation is applied.
+// Collisions use the same outline (see hullOutlines.js).
+function traceSurfaceHull(length, width, profile = 'classic') {
+  traceOutline(ctx, getSurfaceHullOutline(length, width, profile));
+}
+
+function traceRoundedRect(x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + width - r, y);
+  ctx.quadraticCurveTo(x + width, y, x + width, y + r);
+  ctx.lineTo(x + width, y + height - r);
+  ctx.quadraticCurveTo(x + width, y + height, x + width - r, y + height);
+  ctx.lineTo(x + r, y + height);
+  ctx.quadraticCurveTo(x, y + height, x, y + height - r);
+  ctx.lineTo(x, y + r);
+  ctx.quadraticCurveTo(x, y, x + r, y);
+  ctx.closePath();
+}
+
+function drawShipMast(mastX, width, accentColor) {
+  ctx.strokeStyle = 'rgba(31, 40, 44, 0.75)';
+  ctx.lineWidth = 1.2;
+  ctx.beginPath();
+  ctx.moveTo(mastX, -width * 0.22);
+  ctx.lineTo(mastX, width * 0.22);
+  ctx.stroke();
+
+  ctx.fillStyle = accentColor;
+  ctx.strokeStyle = '#283237';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.arc(mastX, 0, Math.max(2, width * 0.045), 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+}
+
+function drawLifeboats(length, width, count, structureLength, structureWidth) {
+  const boatLength = Math.min(13, Math.max(7, length * 0.045));
+  const boatWidth = Math.min(5, Math.max(3, width * 0.07));
+  const spacing = structureLength / Math.max(count, 1);
+  const startX = -structureLength / 2 + spacing / 2 - length * 0.04;
+  const boatY = Math.min(width * 0.37, structureWidth / 2 + boatWidth * 0.75);
+
+  ctx.fillStyle = '#d9a451';
+  ctx.strokeStyle = '#6f522c';
+  ctx.lineWidth = 0.8;
+
+  for (let i = 0; i < count; i++) {
+    const boatX = startX + i * spacing;
+    for (const side of [-1, 1]) {
+      ctx.beginPath();
+      ctx.ellipse(boatX, side * boatY, boatLength / 2, boatWidth / 2, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+}
+
+function drawHospitalCross(x, y, size, color) {
+  ctx.save();
+  ctx.translate(x, y);
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(-size * 0.62, -size * 0.62, size * 1.24, size * 1.24);
+
+  ctx.fillStyle = color;
+  ctx.fillRect(-size * 0.18, -size * 0.5, size * 0.36, size);
+  ctx.fillRect(-size * 0.5, -size * 0.18, size, size * 0.36);
+  ctx.restore();
+}
+
+// Ship-space X of the middle of the superstructure
+function getStructureCenterX(length, hullProfile) {
+  return hullProfile === 'cruise'
+    ? -length * 0.035
+    : (hullProfile === 'modern' ? -length * 0.025 : -length * 0.055);
+}
+
+// Ship-space X of each funnel, evenly spread over the superstructure
+function getFunnelPositions(length, stackCount, style) {
+  const structureLength = length * (style.superstructureLength || 0.6);
+  const structureCenterX = getStructureCenterX(length, style.hullProfile || 'classic');
+  const funnelSpan = Math.min(length * 0.36, structureLength * 0.62);
+  return Array.from({ length: stackCount }, (_, i) => {
+    const baseFunnelX = stackCount === 1
+      ? structureCenterX
+      : structureCenterX - funnelSpan / 2 + i * (funnelSpan / (stackCount - 1));
+    return baseFunnelX + length * (style.funnelOffset || 0);
+  });
+}
+
+function drawSurfaceShip(x, y, length, width, stackCount, stackRadius, rotation, style) {
+  const hullProfile = style.hullProfile || 'classic';
+  const hullColor = style.hullColor || '#17222c';
+  const deckColor = style.deckColor || '#b78351';
+  const accentColor = style.accentColor || '#d7b46a';
+  const superstructureColor = style.superstructureColor || '#f3f0e7';
+  const structureLength = length * (style.superstructureLength || 0.6);
+  const structureWidth = width * (style.superstructureWidth || 0.46);
+  const structureCenterX = getStructureCenterX(length, hullProfile);
+
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(rotation);
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+
+  // Rudder and twin screws peek out behind the hull and improve the stern silhouette.
+  ctx.fillStyle = '#27333a';
+  ctx.strokeStyle = '#d7e1e2';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(-length * 0.46, -width * 0.07);
+  ctx.lineTo(-length * 0.56, 0);
+  ctx.lineTo(-length * 0.46, width * 0.07);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  for (const side of [-1, 1]) {
+    ctx.beginPath();
+    ctx.arc(-length * 0.48, side * width * 0.2, Math.max(2.5, width * 0.055), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  // Main hull, now with a real bow and a tapered transom instead of an ellipse.
+  const hullGradient = ctx.createLinearGradient(0, -width / 2, 0, width / 2);
+  hullGradient.addColorStop(0, hullColor);
+  hullGradient.addColorStop(0.48, hullColor);
+  hullGradient.addColorStop(1, '#0f171d');
+  traceSurfaceHull(length, width, hullProfile);
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+  ctx.shadowBlur = 8;
+  ctx.shadowOffsetY = 3;
+  ctx.fillStyle = hullGradient;
+  ctx.fill();
+  ctx.shadowColor = 'transparent';
+  ctx.strokeStyle = '#e9f0ef';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  // An inset deck leaves a visible dark hull rail all the way around.
+  ctx.save();
+  ctx.translate(length * 0.008, 0);
+  traceSurfaceHull(length * 0.91, width * 0.72, hullProfile);
+  ctx.fillStyle = deckColor;
+  ctx.fill();
+  ctx.strokeStyle = accentColor;
+  ctx.lineWidth = 1.2;
+  ctx.stroke();
+  ctx.restore();
+
+  if (style.hospitalShip) {
+    // The green hull band is the ship's strongest silhouette cue from above.
+    traceSurfaceHull(length * 0.95, width * 0.84, hullProfile);
+    ctx.strokeStyle = style.hospitalBandColor || '#2f9f6b';
+    ctx.lineWidth = Math.max(3, width * 0.055);
+    ctx.stroke();
+  }
+
+  // Foredeck and stern plating give the long hull readable sections.
+  ctx.strokeStyle = 'rgba(52, 42, 31, 0.45)';
+  ctx.lineWidth = 1;
+  for (const deckX of [length * 0.31, -length * 0.36]) {
+    ctx.beginPath();
+    ctx.moveTo(deckX, -width * 0.25);
+    ctx.quadraticCurveTo(deckX - length * 0.015, 0, deckX, width * 0.25);
+    ctx.stroke();
+  }
+
+  // Main and upper superstructure decks are stepped rather than one flat rectangle.
+  traceRoundedRect(
+    structureCenterX - structureLength / 2,
+    -structureWidth / 2,
+    structureLength,
+    structureWidth,
+    width * 0.09
+  );
+  ctx.fillStyle = superstructureColor;
+  ctx.fill();
+  ctx.strokeStyle = '#aeb8b7';
+  ctx.lineWidth = 1.1;
+  ctx.stroke();
+
+  const upperLength = structureLength * (
+    hullProfile === 'cruise' || hullProfile === 'modern' ? 0.78 : 0.66
+  );
+  const upperWidth = structureWidth * 0.62;
+  const upperCenterX = structureCenterX + length * 0.035;
+  traceRoundedRect(
+    upperCenterX - upperLength / 2,
+    -upperWidth / 2,
+    upperLength,
+    upperWidth,
+    width * 0.07
+  );
+  ctx.fillStyle = '#ffffff';
+  ctx.fill();
+  ctx.strokeStyle = '#cad1cf';
+  ctx.stroke();
+
+  if (style.poolDeck) {
+    const poolLength = upperLength * 0.19;
+    const poolWidth = upperWidth * 0.38;
+    const poolX = upperCenterX + upperLength * 0.2;
+    traceRoundedRect(
+      poolX - poolLength / 2,
+      -poolWidth / 2,
+      poolLength,
+      poolWidth,
+      poolWidth * 0.3
+    );
+    ctx.fillStyle = '#4fa9c2';
+    ctx.fill();
+    ctx.strokeStyle = '#d9f3f6';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.65)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(poolX - poolLength * 0.32, -poolWidth * 0.12);
+    ctx.quadraticCurveTo(poolX, poolWidth * 0.18, poolX + poolLength * 0.32, -poolWidth * 0.12);
+    ctx.stroke();
+  }
+
+  // Dark promenade strips and individual windows keep detail legible at game scale.
+  ctx.strokeStyle = '#314953';
+  ctx.lineWidth = Math.max(1.2, width * 0.035);
+  for (const side of [-1, 1]) {
+    ctx.beginPath();
+    ctx.moveTo(structureCenterX - structureLength * 0.41, side * structureWidth * 0.39);
+    ctx.lineTo(structureCenterX + structureLength * 0.39, side * structureWidth * 0.39);
+    ctx.stroke();
+  }
+
+  const windowCount = Math.max(6, Math.floor(structureLength / 20));
+  const windowSpacing = upperLength * 0.8 / (windowCount - 1);
+  ctx.fillStyle = '#263d48';
+  for (let i = 0; i < windowCount; i++) {
+    const windowX = upperCenterX - upperLength * 0.4 + i * windowSpacing;
+    for (const side of [-1, 1]) {
+      ctx.beginPath();
+      ctx.arc(windowX, side * upperWidth * 0.33, Math.max(1, width * 0.018), 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  drawLifeboats(
+    length,
+    width,
+    style.lifeboatCount || 5,
+    structureLength,
+    structureWidth
+  );
+
+  if (style.hospitalShip) {
+    const crossSize = Math.max(7, width * 0.13);
+    drawHospitalCross(
+      upperCenterX - upperLength * 0.25,
+      -upperWidth * 0.66,
+      crossSize,
+      style.hospitalCrossColor || '#c7353d'
+    );
+    drawHospitalCross(
+      upperCenterX + upperLength * 0.25,
+      upperWidth * 0.66,
+      crossSize,
+      style.hospitalCrossColor || '#c7353d'
+    );
+  }
+
+  // A broad forward bridge with a dark glazed face.
+  const bridgeX = structureCenterX + structureLength * 0.38;
+  const bridgeWidth = Math.min(width * 0.48, structureWidth * 0.9);
+  traceRoundedRect(
+    bridgeX - length * 0.035,
+    -bridgeWidth / 2,
+    length * 0.07,
+    bridgeWidth,
+    width * 0.04
+  );
+  ctx.fillStyle = '#eef2ef';
+  ctx.fill();
+  ctx.strokeStyle = '#9ba8a8';
+  ctx.lineWidth = 1;
+  ctx.stroke();
+  ctx.strokeStyle = '#29444f';
+  ctx.lineWidth = Math.max(1.5, width * 0.035);
+  ctx.beginPath();
+  ctx.moveTo(bridgeX + length * 0.02, -bridgeWidth * 0.38);
+  ctx.lineTo(bridgeX + length * 0.025, bridgeWidth * 0.38);
+  ctx.stroke();
+
+  // Funnels are elliptical from above, with colored casings and dark exhaust openings.
+  for (const funnelX of getFunnelPositions(length, stackCount, style)) {
+    const funnelLength = stackRadius * (hullProfile === 'cruise' ? 1.05 : 1.3);
+    const funnelWidth = stackRadius * (hullProfile === 'cruise' ? 0.72 : 0.82);
+
+    ctx.beginPath();
+    ctx.ellipse(funnelX, 0, funnelLength, funnelWidth, 0, 0, Math.PI * 2);
+    ctx.fillStyle = style.funnelColor || '#d39a43';
+    ctx.fill();
+    ctx.strokeStyle = '#f4e4bd';
+    ctx.lineWidth = 1.2;
+    ctx.stroke();
+
+    if (style.funnelBand) {
+      ctx.beginPath();
+      ctx.ellipse(
+        funnelX,
+        0,
+        funnelLength * 0.74,
+        funnelWidth * 0.72,
+        0,
+        0,
+        Math.PI * 2
+      );
+      ctx.strokeStyle = style.funnelBandColor || '#ffffff';
+      ctx.lineWidth = Math.max(2, stackRadius * 0.2);
+      ctx.stroke();
+    }
+
+    ctx.beginPath();
+    ctx.ellipse(funnelX, 0, funnelLength * 0.53, funnelWidth * 0.5, 0, 0, Math.PI * 2);
+    ctx.fillStyle = '#182026';
+    ctx.fill();
+    ctx.strokeStyle = accentColor;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+
+  if (style.radarDomes) {
+    for (const domeX of [
+      upperCenterX - upperLength * 0.32,
+      upperCenterX + upperLength * 0.35
+    ]) {
+      ctx.beginPath();
+      ctx.arc(domeX, 0, Math.max(3, width * 0.055), 0, Math.PI * 2);
+      ctx.fillStyle = '#f9fbfa';
+      ctx.fill();
+      ctx.strokeStyle = accentColor;
+      ctx.lineWidth = 1.2;
+      ctx.stroke();
+    }
+  }
+
+  drawShipMast(length * 0.34, width, accentColor);
+  drawShipMast(-length * 0.35, width, accentColor);
+
+  ctx.restore();
+}
+
+function traceSubmarineHull(length, width) {
+  traceOutline(ctx, getSubmarineHullOutline(length, width));
+}
+
+// depthFraction runs from 0 (surfaced) to 1 (deepest level); the deeper the
+// boat, the fainter and bluer it looks through the water.
+function drawSubmarine(x, y, length, width, conningTowerSize, rotation, depthFraction, style) {
+  const hullColor = style.hullColor || '#202b30';
+  const deckColor = style.deckColor || '#354247';
+  const accentColor = style.accentColor || '#849398';
+  const isSubmerged = depthFraction > 0;
+
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(rotation);
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  ctx.globalAlpha = isSubmerged ? 0.75 - 0.55 * Math.sqrt(depthFraction) : 1;
+
+  // Stern planes, bow dive planes, and rudder create the recognizable U-boat outline.
+  ctx.fillStyle = hullColor;
+  ctx.strokeStyle = isSubmerged ? '#b8d8de' : '#dce5e4';
+  ctx.lineWidth = 1.5;
+
+  ctx.beginPath();
+  ctx.moveTo(-length * 0.3, -width * 0.36);
+  ctx.lineTo(-length * 0.47, -width * 0.86);
+  ctx.lineTo(-length * 0.51, -width * 0.82);
+  ctx.lineTo(-length * 0.44, -width * 0.18);
+  ctx.lineTo(-length * 0.44, width * 0.18);
+  ctx.lineTo(-length * 0.51, width * 0.82);
+  ctx.lineTo(-length * 0.47, width * 0.86);
+  ctx.lineTo(-length * 0.3, width * 0.36);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  for (const side of [-1, 1]) {
+    ctx.beginPath();
+    ctx.moveTo(length * 0.21, side * width * 0.28);
+    ctx.lineTo(length * 0.12, side * width * 0.69);
+    ctx.lineTo(length * 0.27, side * width * 0.57);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  ctx.beginPath();
+  ctx.moveTo(-length * 0.43, -width * 0.08);
+  ctx.lineTo(-length * 0.57, 0);
+  ctx.lineTo(-length * 0.43, width * 0.08);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  const hullGradient = ctx.createLinearGradient(0, -width / 2, 0, width / 2);
+  hullGradient.addColorStop(0, deckColor);
+  hullGradient.addColorStop(0.45, hullColor);
+  hullGradient.addColorStop(1, '#11191d');
+  traceSubmarineHull(length, width);
+  ctx.fillStyle = hullGradient;
+  ctx.fill();
+  ctx.strokeStyle = isSubmerged ? '#c9e1e4' : '#eef3f1';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  // Narrow casing deck, hull seams, and hatches.
+  traceRoundedRect(-length * 0.31, -width * 0.12, length * 0.65, width * 0.24, width * 0.1);
+  ctx.fillStyle = deckColor;
+  ctx.fill();
+  ctx.strokeStyle = accentColor;
+  ctx.lineWidth = 1;
+  ctx.stroke();
+
+  ctx.strokeStyle = 'rgba(199, 213, 214, 0.5)';
+  ctx.beginPath();
+  ctx.moveTo(-length * 0.42, 0);
+  ctx.lineTo(length * 0.4, 0);
+  ctx.stroke();
+
+  for (const hatchX of [-length * 0.2, length * 0.3]) {
+    ctx.beginPath();
+    ctx.arc(hatchX, 0, Math.max(2, width * 0.06), 0, Math.PI * 2);
+    ctx.fillStyle = '#151d20';
+    ctx.fill();
+    ctx.strokeStyle = accentColor;
+    ctx.stroke();
+  }
+
+  // Sea water tints the hull more the deeper it goes
+  if (isSubmerged) {
+    traceSubmarineHull(length, width);
+    ctx.fillStyle = `rgba(18, 74, 104, ${0.25 + 0.5 * depthFraction})`;
+    ctx.fill();
+  }
+
+  if (!isSubmerged) {
+    const towerLength = length * 0.22;
+    const towerWidth = conningTowerSize;
+    const towerX = length * 0.08;
+
+    ctx.beginPath();
+    ctx.ellipse(towerX, 0, towerLength / 2, towerWidth / 2, 0, 0, Math.PI * 2);
+    ctx.fillStyle = '#182125';
+    ctx.fill();
+    ctx.strokeStyle = '#dce5e4';
+    ctx.lineWidth = 1.4;
+    ctx.stroke();
+
+    // Periscope and lookout rails.
+    ctx.strokeStyle = accentColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(towerX - towerLength * 0.2, -towerWidth * 0.55);
+    ctx.lineTo(towerX + towerLength * 0.2, -towerWidth * 0.55);
+    ctx.moveTo(towerX - towerLength * 0.2, towerWidth * 0.55);
+    ctx.lineTo(towerX + towerLength * 0.2, towerWidth * 0.55);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.arc(towerX, 0, Math.max(2, towerWidth * 0.24), 0, Math.PI * 2);
+    ctx.fillStyle = '#080d0f';
+    ctx.fill();
+    ctx.strokeStyle = '#e5ecea';
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
+
+// Layered ocean color stays tied to world coordinates so sailing feels like
+// moving through water instead of sliding a flat backdrop beneath the ship.
+function drawOcean() {
+  const baseGradient = ctx.createLinearGradient(0, 0, view.width, view.height);
+  baseGradient.addColorStop(0, '#183b55');
+  baseGradient.addColorStop(0.48, '#214f68');
+  baseGradient.addColorStop(1, '#163950');
+  ctx.fillStyle = baseGradient;
+  ctx.fillRect(0, 0, view.width, view.height);
+
+  const patchSize = 360;
+  const visible = getVisibleWorldBounds();
+  const minPatchX = Math.floor(visible.minX / patchSize) - 1;
+  const maxPatchX = Math.ceil(visible.maxX / patchSize) + 1;
+  const minPatchY = Math.floor(visible.minY / patchSize) - 1;
+  const maxPatchY = Math.ceil(visible.maxY / patchSize) + 1;
+
+  ctx.save();
+  for (let patchX = minPatchX; patchX <= maxPatchX; patchX++) {
+    for (let patchY = minPatchY; patchY <= maxPatchY; patchY++) {
+      const tone = hash01(patchX, patchY, 3);
+      const worldX = patchX * patchSize + hash01(patchX, patchY, 7) * patchSize;
+      const worldY = patchY * patchSize + hash01(patchX, patchY, 11) * patchSize;
+      const screenX = worldToScreenX(worldX);
+      const screenY = worldToScreenY(worldY);
+      const radius = (150 + hash01(patchX, patchY, 17) * 120) * renderCamera.zoom;
+      const patchGradient = ctx.createRadialGradient(
+        screenX,
+        screenY,
+        0,
+        screenX,
+        screenY,
+        radius
+      );
+      const patchColor = tone > 0.5
+        ? 'rgba(67, 132, 151, 0.09)'
+        : 'rgba(5, 34, 53, 0.11)';
+      patchGradient.addColorStop(0, patchColor);
+      patchGradient.addColorStop(1, 'rgba(14, 51, 70, 0)');
+      ctx.fillStyle = patchGradient;
+      ctx.fillRect(screenX - radius, screenY - radius, radius * 2, radius * 2);
+    }
+  }
+  ctx.restore();
+}
+
+// Short, broken crests replace the old screen-spanning grid of sine waves.
+function drawWaves() {
+  const spacingX = 145;
+  const spacingY = 92;
+  const visible = getVisibleWorldBounds();
+  const minColumn = Math.floor(visible.minX / spacingX) - 1;
+  const maxColumn = Math.ceil(visible.maxX / spacingX) + 1;
+  const minRow = Math.floor(visible.minY / spacingY) - 1;
+  const maxRow = Math.ceil(visible.maxY / spacingY) + 1;
+
+  ctx.save();
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  for (let column = minColumn; column <= maxColumn; column++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      const visibility = hash01(column, row, 21);
+      if (visibility < 0.2) continue;
+
+      const jitterX = (hash01(column, row, 22) - 0.5) * spacingX * 0.65;
+      const jitterY = (hash01(column, row, 23) - 0.5) * spacingY * 0.55;
+      const worldX = column * spacingX + jitterX;
+      const worldY = row * spacingY + jitterY;
+      const screenX = worldToScreenX(worldX);
+      const screenY = worldToScreenY(worldY);
+      const crestLength = 28 + hash01(column, row, 24) * 78;
+      // Crests lie across the wind and stand taller as it strengthens
+      const crestHeight = (3 + hash01(column, row, 25) * 7) * (0.6 + wind.strength * 0.6);
+      const rotation = wind.direction + Math.PI / 2 + (hash01(column, row, 26) - 0.5) * 0.16;
+      const pulse = Math.sin(animationTime * 0.018 + hash01(column, row, 27) * Math.PI * 2);
+
+      ctx.save();
+      ctx.translate(screenX, screenY + pulse * 1.8 * renderCamera.zoom);
+      ctx.scale(renderCamera.zoom, renderCamera.zoom);
+      ctx.rotate(rotation);
+
+      ctx.strokeStyle = `rgba(174, 216, 226, ${0.16 + visibility * 0.13})`;
+      ctx.lineWidth = 1.1 + visibility * 0.65;
+      ctx.beginPath();
+      ctx.moveTo(-crestLength / 2, crestHeight * 0.25);
+      ctx.bezierCurveTo(
+        -crestLength * 0.2, -crestHeight,
+        crestLength * 0.18, -crestHeight,
+        crestLength / 2, crestHeight * 0.2
+      );
+      ctx.stroke();
+
+      if (visibility > 0.62) {
+        const highlightLength = crestLength * (0.35 + visibility * 0.22);
+        ctx.strokeStyle = `rgba(226, 242, 244, ${0.2 + visibility * 0.2})`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(-highlightLength / 2, -crestHeight * 0.25);
+        ctx.quadraticCurveTo(0, -crestHeight * 0.9, highlightLength / 2, -crestHeight * 0.18);
+        ctx.stroke();
+      }
+
+      if (visibility > 0.84) {
+        ctx.fillStyle = 'rgba(222, 241, 244, 0.28)';
+        for (let fleck = 0; fleck < 3; fleck++) {
+          const fleckX = (hash01(column, row, 30 + fleck) - 0.5) * crestLength * 0.8;
+          const fleckY = crestHeight * (0.4 + hash01(column, row, 40 + fleck) * 0.7);
+          ctx.beginPath();
+          ctx.arc(fleckX, fleckY, 0.8 + fleck * 0.25, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+
+      ctx.restore();
+    }
+  }
+
+  ctx.restore();
+}
+
+function drawShipWake() {
+  if (Math.abs(ship.speed) < 0.15 || isSubmerged()) {
+    return;
+  }
+
+  const wakeSpeedLimit = ship.speed >= 0
+    ? shipConfig.maxSpeed
+    : shipConfig.maxReverseSpeed;
+  const speedRatio = Math.min(1, Math.abs(ship.speed) / wakeSpeedLimit);
+  const wakeLength = ship.length * (0.5 + speedRatio * 0.65);
+  const sternX = -ship.length * 0.43;
+
+  ctx.save();
+  ctx.translate(view.width / 2, view.height / 2);
+  ctx.scale(renderCamera.zoom, renderCamera.zoom);
+  ctx.rotate(renderCamera.shipRotation);
+  ctx.scale(ship.speed >= 0 ? 1 : -1, 1);
+  ctx.lineCap = 'round';
+  ctx.setLineDash([9, 7]);
+  ctx.lineDashOffset = -animationTime * 0.45;
+
+  for (const side of [-1, 1]) {
+    ctx.strokeStyle = `rgba(221, 241, 244, ${0.12 + speedRatio * 0.3})`;
+    ctx.lineWidth = 1.4 + speedRatio;
+    ctx.beginPath();
+    ctx.moveTo(sternX, side * ship.width * 0.3);
+    ctx.bezierCurveTo(
+      sternX - wakeLength * 0.28,
+      side * ship.width * 0.45,
+      sternX - wakeLength * 0.7,
+      side * ship.width * (0.75 + speedRatio * 0.35),
+      sternX - wakeLength,
+      side * ship.width * (0.95 + speedRatio * 0.55)
+    );
+    ctx.stroke();
+  }
+
+  ctx.setLineDash([4, 9]);
+  ctx.strokeStyle = `rgba(199, 228, 234, ${0.1 + speedRatio * 0.2})`;
+  ctx.lineWidth = 1.2;
+  ctx.beginPath();
+  ctx.moveTo(sternX, 0);
+  ctx.quadraticCurveTo(sternX - wakeLength * 0.4, ship.width * 0.08, sternX - wakeLength * 0.75, 0);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Churned water where the screws turn and where the bow thruster throws its
+// jet out of the side opposite the way it pushes
+function drawPropulsionWash() {
+  if (isSubmerged()) return;
+  
+  const sternX = -ship.length * 0.45;
+  const screwOffsets = { port: -ship.width * 0.22, center: 0, starboard: ship.width * 0.22 };
+  
+  ctx.save();
+  ctx.translate(view.width / 2, view.height / 2);
+  ctx.scale(renderCamera.zoom, renderCamera.zoom);
+  ctx.rotate(renderCamera.shipRotation);
+  ctx.lineCap = 'round';
+  ctx.setLineDash([3, 5]);
+  ctx.lineDashOffset = -animationTime * 0.6;
+  
+  for (const engine of ship.engines) {
+    const power = Math.abs(engine.rpm);
+    if (power === 0) continue;
+    
+    // Thrust ahead throws the wash aft; astern throws it forward under the hull
+    const washX = sternX - Math.sign(engine.rpm) * ship.length * 0.12;
+    const y = screwOffsets[engine.side];
+    ctx.strokeStyle = `rgba(221, 241, 244, ${0.2 + power * 0.25})`;
+    ctx.lineWidth = 1.6;
+    for (const spread of [-1, 1]) {
+      ctx.beginPath();
+      ctx.moveTo(sternX, y);
+      ctx.quadraticCurveTo((sternX + washX) / 2, y + spread * ship.width * 0.05, washX, y + spread * ship.width * 0.12);
+      ctx.stroke();
+    }
+  }
+  
+  if (ship.thruster !== 0) {
+    const thrusterX = ship.length * 0.36;
+    const jetSide = -ship.thruster; // Water goes out opposite the push
+    const jetLength = ship.width * 0.9;
+    ctx.strokeStyle = 'rgba(221, 241, 244, 0.45)';
+    ctx.lineWidth = 2;
+    for (const spread of [-1, 0, 1]) {
+      ctx.beginPath();
+      ctx.moveTo(thrusterX, jetSide * ship.width * 0.3);
+      ctx.lineTo(thrusterX + spread * ship.width * 0.15, jetSide * (ship.width * 0.3 + jetLength));
+      ctx.stroke();
+    }
+  }
+  
+  ctx.restore();
+}
+
+function tracePolygon(points) {
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i].x, points[i].y);
+  }
+  ctx.closePath();
+}
+
+// Draw a floating ice floe with a submerged shelf, visible thickness, and
+// restrained surface facets. Collision geometry remains unchanged.
+function drawIceberg(iceberg) {
+  // Convert world coordinates to screen coordinates
+  const screenX = worldToScreenX(iceberg.x);
+  const screenY = worldToScreenY(iceberg.y);
+  
+  // Only draw if on screen
+  if (!isOnScreen(screenX, screenY, iceberg.size)) {
+    return;
+  }
+  
+  ctx.save();
+  ctx.translate(screenX, screenY);
+  ctx.scale(renderCamera.zoom, renderCamera.zoom);
+  ctx.rotate(getIceFloeRotation(iceberg));
+
+  const points = getIceFloePoints(iceberg);
+
+  // Pale turquoise below the edge suggests the larger submerged ice shelf.
+  ctx.save();
+  ctx.scale(1.1, 1.1);
+  tracePolygon(points);
+  ctx.fillStyle = 'rgba(104, 176, 194, 0.18)';
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(143, 205, 216, 0.28)';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  ctx.restore();
+
+  // The lower edge is offset toward the viewer to give the floe thickness.
+  ctx.save();
+  ctx.translate(0, Math.max(3, iceberg.size * 0.075));
+  tracePolygon(points);
+  ctx.fillStyle = '#9fc6d1';
+  ctx.fill();
+  ctx.strokeStyle = '#83b4c1';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+  ctx.restore();
+
+  tracePolygon(points);
+  const iceGradient = ctx.createLinearGradient(
+    -iceberg.size * 0.55,
+    -iceberg.size * 0.65,
+    iceberg.size * 0.5,
+    iceberg.size * 0.65
+  );
+  iceGradient.addColorStop(0, '#fbffff');
+  iceGradient.addColorStop(0.48, icebergsConfig.color);
+  iceGradient.addColorStop(1, '#d4eaed');
+  ctx.fillStyle = iceGradient;
+  ctx.shadowColor = 'rgba(4, 35, 49, 0.22)';
+  ctx.shadowBlur = 8;
+  ctx.shadowOffsetY = 4;
+  ctx.fill();
+  ctx.shadowColor = 'transparent';
+
+  // Broad triangular facets keep the surface dimensional without making it rocky.
+  ctx.save();
+  tracePolygon(points);
+  ctx.clip();
+  const facetCenter = {
+    x: (hash01(iceberg.seed, 12) - 0.5) * iceberg.size * 0.22,
+    y: (hash01(iceberg.seed, 13) - 0.5) * iceberg.size * 0.18
+  };
+  const facetColors = [
+    'rgba(159, 208, 217, 0.2)',
+    'rgba(255, 255, 255, 0.34)',
+    'rgba(121, 184, 199, 0.13)'
+  ];
+
+  for (let i = 0; i < points.length; i += 2) {
+    const nextIndex = (i + 2) % points.length;
+    ctx.beginPath();
+    ctx.moveTo(facetCenter.x, facetCenter.y);
+    ctx.lineTo(points[i].x, points[i].y);
+    ctx.lineTo(points[(i + 1) % points.length].x, points[(i + 1) % points.length].y);
+    ctx.lineTo(points[nextIndex].x, points[nextIndex].y);
+    ctx.closePath();
+    ctx.fillStyle = facetColors[(i / 2) % facetColors.length];
+    ctx.fill();
+  }
+  ctx.restore();
+
+  tracePolygon(points);
+  ctx.strokeStyle = icebergsConfig.strokeColor;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  // A few fine stress lines make larger floes feel naturally fractured.
+  if (iceberg.size > 44) {
+    ctx.strokeStyle = 'rgba(103, 162, 178, 0.35)';
+    ctx.lineWidth = 1;
+    for (let crack = 0; crack < Math.min(3, Math.floor(iceberg.size / 24)); crack++) {
+      const target = points[(crack * 3 + 1) % points.length];
+      const startX = facetCenter.x + (hash01(iceberg.seed, crack, 18) - 0.5) * iceberg.size * 0.12;
+      const startY = facetCenter.y + (hash01(iceberg.seed, crack, 19) - 0.5) * iceberg.size * 0.12;
+      ctx.beginPath();
+      ctx.moveTo(startX, startY);
+      ctx.lineTo(target.x * 0.42, target.y * 0.42);
+      ctx.lineTo(target.x * 0.67, target.y * 0.65);
+      ctx.stroke();
+    }
+  }
+  
+  ctx.restore();
+}
+
+// Draw all visible icebergs
+function drawIcebergs() {
+  const {
+    minX: minWorldX,
+    maxX: maxWorldX,
+    minY: minWorldY,
+    maxY: maxWorldY
+  } = getVisibleWorldBounds();
+  
+  // Only visit the chunks around the view, not every iceberg ever generated
+  const nearbyIcebergs = icebergIndex.query(
+    minWorldX, minWorldY, maxWorldX, maxWorldY, icebergsConfig.maxSize
+  );
+  for (const iceberg of nearbyIcebergs) {
+    // Only draw if in visible area
+    if (iceberg.x >= minWorldX - iceberg.size &&
+        iceberg.x <= maxWorldX + iceberg.size &&
+        iceberg.y >= minWorldY - iceberg.size &&
+        iceberg.y <= maxWorldY + iceberg.size) {
+      drawIceberg(iceberg);
+    }
+  }
+}
+
+function drawWreckDamage(shipwreck, wreckLength, wreckWidth, source) {
+  const floodedSide = hash01(shipwreck.seed, 2) > 0.5 ? 1 : -1;
+  const waterline = wreckWidth * (0.02 + hash01(shipwreck.seed, 3) * 0.14);
+
+  ctx.save();
+  ctx.globalAlpha = 0.88;
+
+  // Flooding covers one side of the original deck with an irregular waterline.
+  ctx.fillStyle = 'rgba(5, 46, 59, 0.76)';
+  ctx.beginPath();
+  ctx.moveTo(-wreckLength * 0.52, floodedSide * waterline);
+  ctx.lineTo(-wreckLength * 0.25, floodedSide * (waterline + wreckWidth * 0.04));
+  ctx.lineTo(wreckLength * 0.02, floodedSide * (waterline - wreckWidth * 0.025));
+  ctx.lineTo(wreckLength * 0.27, floodedSide * (waterline + wreckWidth * 0.035));
+  ctx.lineTo(wreckLength * 0.52, floodedSide * waterline);
+  ctx.lineTo(wreckLength * 0.5, floodedSide * wreckWidth * 0.54);
+  ctx.lineTo(-wreckLength * 0.5, floodedSide * wreckWidth * 0.54);
+  ctx.closePath();
+  ctx.fill();
+
+  // A dark pool in the broken midsection suggests a partially submerged hull.
+  ctx.fillStyle = 'rgba(4, 27, 36, 0.78)';
+  ctx.beginPath();
+  ctx.ellipse(
+    wreckLength * (hash01(shipwreck.seed, 4) - 0.5) * 0.2,
+    floodedSide * wreckWidth * 0.18,
+    wreckLength * 0.19,
+    wreckWidth * 0.27,
+    hash01(shipwreck.seed, 5) * 0.35,
+    0,
+    Math.PI * 2
+  );
+  ctx.fill();
+
+  // The diagonal seam and missing plating make the transformation obvious.
+  ctx.strokeStyle = '#172326';
+  ctx.lineWidth = Math.max(2, wreckWidth * 0.08);
+  ctx.beginPath();
+  ctx.moveTo(-wreckLength * 0.18, -wreckWidth * 0.56);
+  ctx.lineTo(wreckLength * 0.04, wreckWidth * 0.56);
+  ctx.stroke();
+
+  ctx.fillStyle = 'rgba(18, 24, 25, 0.76)';
+  ctx.beginPath();
+  ctx.moveTo(wreckLength * 0.08, -wreckWidth * 0.42);
+  ctx.lineTo(wreckLength * 0.23, -wreckWidth * 0.3);
+  ctx.lineTo(wreckLength * 0.14, wreckWidth * 0.4);
+  ctx.lineTo(wreckLength * 0.02, wreckWidth * 0.27);
+  ctx.closePath();
+  ctx.fill();
+
+  // Surface ships retain their recognizable funnels, but a few are collapsed.
+  if (source.category !== 'Submarines') {
+    const structureLength = wreckLength * (source.visualStyle?.superstructureLength || 0.6);
+    const funnelSpan = Math.min(wreckLength * 0.36, structureLength * 0.62);
+    const damagedFunnelCount = Math.max(1, Math.ceil((source.stackCount || 1) / 2));
+    for (let i = 0; i < damagedFunnelCount; i++) {
+      const funnelIndex = Math.floor(hash01(shipwreck.seed, i, 7) * Math.max(source.stackCount || 1, 1));
+      const funnelX = (source.stackCount || 1) === 1
+        ? 0
+        : -funnelSpan / 2 + funnelIndex * (funnelSpan / Math.max(source.stackCount - 1, 1));
+      ctx.fillStyle = 'rgba(14, 24, 27, 0.82)';
+      ctx.beginPath();
+      ctx.ellipse(funnelX, 0, wreckWidth * 0.13, wreckWidth * 0.1, 0.15, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = '#a55e40';
+      ctx.lineWidth = 1.2;
+      ctx.beginPath();
+      ctx.moveTo(funnelX - wreckWidth * 0.16, -wreckWidth * 0.08);
+      ctx.lineTo(funnelX + wreckWidth * 0.15, wreckWidth * 0.11);
+      ctx.stroke();
+    }
+  } else {
+    // Submarine wrecks lose the conning tower into the water instead.
+    ctx.fillStyle = 'rgba(6, 25, 31, 0.82)';
+    ctx.beginPath();
+    ctx.ellipse(wreckLength * 0.08, 0, wreckLength * 0.11, wreckWidth * 0.22, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#6c9ca2';
+    ctx.lineWidth = 1.2;
+    ctx.beginPath();
+    ctx.moveTo(wreckLength * 0.02, -wreckWidth * 0.2);
+    ctx.lineTo(wreckLength * 0.14, wreckWidth * 0.19);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = '#d3874b';
+  for (let debris = 0; debris < 5; debris++) {
+    const debrisX = (hash01(shipwreck.seed, debris, 21) - 0.5) * wreckLength * 1.3;
+    const debrisY = (hash01(shipwreck.seed, debris, 22) - 0.5) * wreckWidth * 2.2;
+    ctx.beginPath();
+    ctx.arc(debrisX, debrisY, 2 + hash01(shipwreck.seed, debris, 23) * 2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  ctx.restore();
+}
+
+function drawShipwreck(shipwreck) {
+  const screenX = worldToScreenX(shipwreck.x);
+  const screenY = worldToScreenY(shipwreck.y);
+  const source = shipwreck.source || {
+    category: 'Steamers',
+    length: shipwreck.size * 2.15,
+    width: shipwreck.size * 0.62,
+    stackCount: 1,
+    stackRadius: 8,
+    visualStyle: { hullProfile: 'classic' }
+  };
+  const wreckScale = getWreckScale(source, shipwreck.size);
+  const wreckLength = source.length * wreckScale;
+  const wreckWidth = source.width * wreckScale;
+
+  if (!isOnScreen(screenX, screenY, wreckLength)) {
+    return;
+  }
+
+  ctx.save();
+  ctx.translate(screenX, screenY);
+  ctx.scale(renderCamera.zoom, renderCamera.zoom);
+  ctx.rotate(shipwreck.rotation);
+
+  ctx.fillStyle = 'rgba(5, 28, 38, 0.25)';
+  ctx.beginPath();
+  ctx.ellipse(5, 7, wreckLength * 0.52, wreckWidth * 0.68, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.strokeStyle = 'rgba(174, 221, 223, 0.32)';
+  ctx.lineWidth = 1.5;
+  for (let ripple = 0; ripple < 2; ripple++) {
+    ctx.beginPath();
+    ctx.ellipse(
+      -wreckLength * 0.08,
+      3,
+      wreckLength * (0.62 + ripple * 0.08),
+      wreckWidth * (0.72 + ripple * 0.08),
+      0,
+      0,
+      Math.PI * 2
+    );
+    ctx.stroke();
+  }
+
+  // Reuse the exact ship renderer and its captured visual style before
+  // applying damage, so every wreck remains identifiable.
+  ctx.globalAlpha = 0.8;
+  if (source.category === 'Submarines') {
+    drawSubmarine(
+      0,
+      0,
+      source.length * wreckScale,
+      source.width * wreckScale,
+      (source.conningTowerSize || 12) * wreckScale,
+      0,
+      0,
+      source.visualStyle || {}
+    );
+  } else {
+    drawSurfaceShip(
+      0,
+      0,
+      source.length * wreckScale,
+      source.width * wreckScale,
+      source.stackCount || 1,
+      (source.stackRadius || 8) * wreckScale,
+      0,
+      source.visualStyle || {}
+    );
+  }
+  ctx.globalAlpha = 1;
+
+  drawWreckDamage(shipwreck, wreckLength, wreckWidth, source);
+  ctx.restore();
+}
+
+function drawShipwrecks() {
+  const visible = getVisibleWorldBounds();
+  // Wreck hulls are drawn at most 2.25x their size in length
+  const nearbyWrecks = wreckIndex.query(
+    visible.minX,
+    visible.minY,
+    visible.maxX,
+    visible.maxY,
+    shipwreckConfig.maxSize * 2.25
+  );
+  for (const shipwreck of nearbyWrecks) {
+    drawShipwreck(shipwreck);
+  }
+}
+
+function drawShipwreckMarker(x, y, radius, expanded) {
+  const markerRadius = Math.max(expanded ? 5 : 3, radius);
+
+  ctx.save();
+  ctx.fillStyle = 'rgba(16, 25, 31, 0.75)';
+  ctx.beginPath();
+  ctx.arc(x, y, markerRadius + 2, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.strokeStyle = '#e08b4d';
+  ctx.lineWidth = expanded ? 2 : 1.2;
+  ctx.beginPath();
+  ctx.moveTo(x - markerRadius, y - markerRadius);
+  ctx.lineTo(x + markerRadius, y + markerRadius);
+  ctx.moveTo(x + markerRadius, y - markerRadius);
+  ctx.lineTo(x - markerRadius, y + markerRadius);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function drawFuelRig(rig) {
+  const screenX = worldToScreenX(rig.x);
+  const screenY = worldToScreenY(rig.y);
+  const margin = fuelRigConfig.refuelRadius + 80;
+
+  if (!isOnScreen(screenX, screenY, margin)) {
+    return;
+  }
+
+  const pulse = 0.5 + Math.sin(animationTime * 0.06 + rig.seed) * 0.18;
+  const rigIsNearby = Math.hypot(renderCamera.x - rig.x, renderCamera.y - rig.y) < fuelRigConfig.refuelRadius;
+  const ringColor = rigIsNearby ? '#f7d36a' : '#dba94f';
+
+  ctx.save();
+  ctx.translate(screenX, screenY);
+  ctx.scale(renderCamera.zoom, renderCamera.zoom);
+
+  ctx.strokeStyle = `rgba(247, 211, 106, ${0.2 + pulse * 0.16})`;
+  ctx.lineWidth = rigIsNearby ? 3 : 1.5;
+  ctx.setLineDash([10, 8]);
+  ctx.lineDashOffset = -animationTime * 0.35;
+  ctx.beginPath();
+  ctx.arc(0, 0, fuelRigConfig.refuelRadius, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.save();
+  ctx.rotate((hash01(rig.seed, 1) - 0.5) * 0.35);
+
+  // Submerged shadow and four support legs.
+  ctx.fillStyle = 'rgba(3, 28, 39, 0.3)';
+  ctx.beginPath();
+  ctx.ellipse(5, 9, 62, 52, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.strokeStyle = '#536c72';
+  ctx.lineWidth = 6;
+  ctx.lineCap = 'round';
+  for (const [legX, legY] of [[-30, -24], [30, -24], [-30, 24], [30, 24]]) {
+    ctx.beginPath();
+    ctx.moveTo(legX, legY);
+    ctx.lineTo(legX * 0.72, legY * 0.72 + 10);
+    ctx.stroke();
+  }
+
+  // Main production deck.
+  ctx.fillStyle = '#6d7f7d';
+  ctx.strokeStyle = '#263b42';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(-48, -30);
+  ctx.lineTo(38, -30);
+  ctx.lineTo(50, -14);
+  ctx.lineTo(50, 23);
+  ctx.lineTo(27, 34);
+  ctx.lineTo(-45, 28);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  // Helipad and safety markings make the platform readable at game scale.
+  ctx.fillStyle = '#8d9b94';
+  ctx.beginPath();
+  ctx.arc(-18, -2, 20, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = '#e9c45a';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  ctx.strokeStyle = '#f5e8a9';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(-27, -2);
+  ctx.lineTo(-9, -2);
+  ctx.moveTo(-18, -11);
+  ctx.lineTo(-18, 7);
+  ctx.stroke();
+
+  // Derrick, pipework, and a small flare stack give the rig its silhouette.
+  ctx.strokeStyle = '#c3d0c8';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(16, 19);
+  ctx.lineTo(30, -18);
+  ctx.lineTo(42, 17);
+  ctx.moveTo(22, 3);
+  ctx.lineTo(37, 3);
+  ctx.moveTo(25, -7);
+  ctx.lineTo(39, -7);
+  ctx.stroke();
+
+  ctx.strokeStyle = '#e1b44c';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(5, 26);
+  ctx.lineTo(5, -22);
+  ctx.lineTo(18, -22);
+  ctx.stroke();
+
+  const flareGlow = ctx.createRadialGradient(43, -22, 0, 43, -22, 14);
+  flareGlow.addColorStop(0, `rgba(255, 224, 124, ${0.35 + pulse * 0.25})`);
+  flareGlow.addColorStop(1, 'rgba(255, 224, 124, 0)');
+  ctx.fillStyle = flareGlow;
+  ctx.beginPath();
+  ctx.arc(43, -22, 14, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#ffd56a';
+  ctx.beginPath();
+  ctx.arc(43, -22, 4, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = ringColor;
+  for (const light of [[-43, -25], [47, -14], [28, 27], [-38, 23]]) {
+    ctx.beginPath();
+    ctx.arc(light[0], light[1], 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+
+  ctx.fillStyle = 'rgba(12, 25, 31, 0.72)';
+  ctx.fillRect(-39, 65, 78, 20);
+  ctx.strokeStyle = ringColor;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(-39, 65, 78, 20);
+  ctx.fillStyle = '#f8e7a5';
+  ctx.font = 'bold 11px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('REFUEL', 0, 75);
+  ctx.restore();
+}
+
+function drawFuelRigs() {
+  for (const rig of fuelRigs) {
+    drawFuelRig(rig);
+  }
+}
+
+function drawFuelRigMarker(x, y, radius, expanded) {
+  const markerRadius = Math.max(expanded ? 5 : 3, radius);
+
+  ctx.save();
+  ctx.fillStyle = 'rgba(18, 29, 34, 0.82)';
+  ctx.beginPath();
+  ctx.arc(x, y, markerRadius + 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.strokeStyle = '#f1c75d';
+  ctx.lineWidth = expanded ? 2 : 1.2;
+  ctx.beginPath();
+  ctx.moveTo(x - markerRadius, y + markerRadius);
+  ctx.lineTo(x, y - markerRadius);
+  ctx.lineTo(x + markerRadius, y + markerRadius);
+  ctx.closePath();
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(x - markerRadius * 0.7, y);
+  ctx.lineTo(x + markerRadius * 0.7, y);
+  ctx.stroke();
+  ctx.fillStyle = '#f1c75d';
+  ctx.beginPath();
+  ctx.arc(x, y, Math.max(1.5, markerRadius * 0.28), 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+function drawKraken(kraken) {
+  const krakenX = lerp(kraken.previousX ?? kraken.x, kraken.x, interpolationAlpha);
+  const krakenY = lerp(kraken.previousY ?? kraken.y, kraken.y, interpolationAlpha);
+  const screenX = worldToScreenX(krakenX);
+  const screenY = worldToScreenY(krakenY);
+  const size = 58;
+
+  if (!isOnScreen(screenX, screenY, size * 2)) {
+    return;
+  }
+
+  ctx.save();
+  // World entities are drawn in raw canvas coordinates. Reset the transform
+  // here so a transform from another renderer can never pin the kraken to a
+  // screen corner.
+  resetTransform();
+  ctx.translate(screenX, screenY);
+  ctx.scale(renderCamera.zoom, renderCamera.zoom);
+  ctx.rotate(lerpAngle(kraken.previousHeading ?? kraken.heading, kraken.heading, interpolationAlpha));
+
+  const pulse = 0.5 + Math.sin(animationTime * 0.05 + kraken.phase) * 0.18;
+  if (kraken.isChasing) {
+    ctx.strokeStyle = `rgba(236, 67, 81, ${0.35 + pulse * 0.3})`;
+    ctx.lineWidth = 2.5;
+    ctx.setLineDash([7, 6]);
+    ctx.lineDashOffset = -animationTime * 0.55;
+    ctx.beginPath();
+    ctx.arc(0, 0, 78, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  ctx.fillStyle = 'rgba(15, 9, 29, 0.3)';
+  ctx.beginPath();
+  ctx.ellipse(-4, 10, 68, 31, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Tentacles are drawn first so the mantle sits naturally above them.
+  for (let i = 0; i < 8; i++) {
+    const baseAngle = (Math.PI * 2 * i) / 8 + Math.sin(kraken.phase + i) * 0.08;
+    const tentacleLength = 44 + hash01(kraken.seed, i, 2) * 28;
+    const startX = Math.cos(baseAngle) * 17;
+    const startY = Math.sin(baseAngle) * 14;
+    const endX = Math.cos(baseAngle) * tentacleLength;
+    const endY = Math.sin(baseAngle) * tentacleLength;
+    const wave = Math.sin(animationTime * 0.08 + kraken.phase + i) * 8;
+    const controlX = Math.cos(baseAngle) * tentacleLength * 0.52 - Math.sin(baseAngle) * wave;
+    const controlY = Math.sin(baseAngle) * tentacleLength * 0.52 + Math.cos(baseAngle) * wave;
+
+    ctx.strokeStyle = 'rgba(19, 12, 35, 0.48)';
+    ctx.lineWidth = 10;
+    ctx.beginPath();
+    ctx.moveTo(startX + 3, startY + 5);
+    ctx.quadraticCurveTo(controlX + 3, controlY + 5, endX + 3, endY + 5);
+    ctx.stroke();
+
+    ctx.strokeStyle = i % 2 === 0 ? '#3d2d5b' : '#4e3868';
+    ctx.lineWidth = 6;
+    ctx.beginPath();
+    ctx.moveTo(startX, startY);
+    ctx.quadraticCurveTo(controlX, controlY, endX, endY);
+    ctx.stroke();
+
+    ctx.fillStyle = '#9a6a9f';
+    for (let sucker = 1; sucker < 4; sucker++) {
+      const t = sucker / 4;
+      const suckerX = startX + (endX - startX) * t;
+      const suckerY = startY + (endY - startY) * t;
+      ctx.beginPath();
+      ctx.arc(suckerX - Math.sin(baseAngle) * 3, suckerY + Math.cos(baseAngle) * 3, 1.6, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  // Mantle and face.
+  const mantleGradient = ctx.createRadialGradient(22, -8, 4, 8, 0, 42);
+  mantleGradient.addColorStop(0, '#80609a');
+  mantleGradient.addColorStop(0.55, '#4b376b');
+  mantleGradient.addColorStop(1, '#241b3d');
+  ctx.fillStyle = mantleGradient;
+  ctx.strokeStyle = '#1b142c';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.ellipse(8, 0, 33, 23, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.fillStyle = `rgba(180, 111, 196, ${0.25 + pulse * 0.2})`;
+  ctx.beginPath();
+  ctx.ellipse(22, -7, 10, 7, -0.2, 0, Math.PI * 2);
+  ctx.fill();
+
+  for (const eyeY of [-8, 8]) {
+    ctx.fillStyle = '#f4e7b0';
+    ctx.beginPath();
+    ctx.arc(29, eyeY, 5.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = kraken.isChasing ? '#ff3d4e' : '#d84d5a';
+    ctx.beginPath();
+    ctx.arc(31, eyeY, 2.2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  ctx.strokeStyle = '#c68bc2';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(31, 0, 8, -0.8, 0.8);
+  ctx.stroke();
+
+  ctx.restore();
+}
+
+function drawKrakens() {
+  for (const kraken of krakens) {
+    drawKraken(kraken);
+  }
+}
+
+// Draw start port (island with port)
+// Shallow water fades in toward each island's shore
+function drawShallows() {
+  for (const island of [startPort, goal]) {
+    if (!island.generated) continue;
+    
+    const screenX = worldToScreenX(island.x);
+    const screenY = worldToScreenY(island.y);
+    if (!isOnScreen(screenX, screenY, seabedConfig.shelfRadius)) continue;
+    
+    const radius = seabedConfig.shelfRadius * renderCamera.zoom;
+    
+    const shallows = ctx.createRadialGradient(
+      screenX, screenY, goalConfig.radius * renderCamera.zoom,
+      screenX, screenY, radius
+    );
+    shallows.addColorStop(0, 'rgba(120, 200, 210, 0.28)');
+    shallows.addColorStop(1, 'rgba(120, 200, 210, 0)');
+    ctx.fillStyle = shallows;
+    ctx.beginPath();
+    ctx.arc(screenX, screenY, radius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+function drawStartPort() {
+  if (!startPort.generated) return;
+  
+  // Convert start port world position to screen position
+  const portScreenX = worldToScreenX(startPort.x);
+  const portScreenY = worldToScreenY(startPort.y);
+  
+  // Only draw if on screen (with some margin)
+  const margin = goalConfig.radius + 50;
+  if (!isOnScreen(portScreenX, portScreenY, margin)) {
+    return;
+  }
+  
+  // Draw the same island design as goal (reuse the drawing code)
+  drawIsland(portScreenX, portScreenY, '#6B8E23', startPort.x, startPort.y, renderCamera.zoom, false, 'DEPARTURE');
+}
+
+// Draw island (reusable function for both start port and goal, and minimap)
+// worldX, worldY: world coordinates for seed generation (for consistent shape)
+// scale: scaling factor (the camera zoom in the main view, much smaller for minimap)
+// isMinimap: if true, draws simplified version
+function traceSmoothLoop(points) {
+  const firstPoint = points[0];
+  const lastPoint = points[points.length - 1];
+  ctx.beginPath();
+  ctx.moveTo(
+    (lastPoint.x + firstPoint.x) / 2,
+    (lastPoint.y + firstPoint.y) / 2
+  );
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    const nextPoint = points[(i + 1) % points.length];
+    ctx.quadraticCurveTo(
+      point.x,
+      point.y,
+      (point.x + nextPoint.x) / 2,
+      (point.y + nextPoint.y) / 2
+    );
+  }
+  ctx.closePath();
+}
+
+function scaleLoopPoints(points, scaleX, scaleY = scaleX, offsetY = 0) {
+  return points.map(point => ({
+    x: point.x * scaleX,
+    y: point.y * scaleY + offsetY
+  }));
+}
+
+function createIslandShore(seed, islandSize, pointCount) {
+  const points = [];
+  const angleStep = (Math.PI * 2) / pointCount;
+  for (let i = 0; i < pointCount; i++) {
+    const angle = i * angleStep + (hash01(seed, i, 51) - 0.5) * angleStep * 0.38;
+    const radius = 0.84 + hash01(seed, i, 52) * 0.18;
+    points.push({
+      x: Math.cos(angle) * islandSize * 0.92 * radius,
+      y: Math.sin(angle) * islandSize * 0.72 * radius
+    });
+  }
+  return points;
+}
+
+function drawTopDownTree(x, y, radius, seed) {
+  ctx.fillStyle = 'rgba(19, 44, 30, 0.24)';
+  ctx.beginPath();
+  ctx.ellipse(x + radius * 0.35, y + radius * 0.45, radius * 0.9, radius * 0.62, 0.25, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = '#274f39';
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = '#3f7150';
+  ctx.beginPath();
+  ctx.arc(x - radius * 0.28, y - radius * 0.2, radius * 0.66, 0, Math.PI * 2);
+  ctx.arc(x + radius * 0.34, y - radius * 0.12, radius * 0.58, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = '#5f8758';
+  ctx.beginPath();
+  ctx.arc(
+    x - radius * 0.18,
+    y - radius * 0.35,
+    radius * (0.26 + hash01(seed, 1) * 0.12),
+    0,
+    Math.PI * 2
+  );
+  ctx.fill();
+
+  ctx.fillStyle = '#6b4c2e';
+  ctx.beginPath();
+  ctx.arc(x, y, Math.max(1.4, radius * 0.12), 0, Math.PI * 2);
+  ctx.fill();
+}
+
+function drawRoofedBuilding(x, y, width, height, rotation, colors) {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(rotation);
+
+  ctx.fillStyle = 'rgba(26, 38, 33, 0.24)';
+  ctx.fillRect(-width / 2 + 5, -height / 2 + 6, width, height);
+
+  ctx.fillStyle = colors.wall;
+  ctx.strokeStyle = '#674c38';
+  ctx.lineWidth = 1.5;
+  ctx.fillRect(-width / 2, -height / 2, width, height);
+  ctx.strokeRect(-width / 2, -height / 2, width, height);
+
+  ctx.beginPath();
+  ctx.moveTo(-width / 2, -height / 2);
+  ctx.lineTo(width / 2, -height / 2);
+  ctx.lineTo(width / 2, 0);
+  ctx.lineTo(-width / 2, 0);
+  ctx.closePath();
+  ctx.fillStyle = colors.lightRoof;
+  ctx.fill();
+
+  ctx.beginPath();
+  ctx.moveTo(-width / 2, 0);
+  ctx.lineTo(width / 2, 0);
+  ctx.lineTo(width / 2, height / 2);
+  ctx.lineTo(-width / 2, height / 2);
+  ctx.closePath();
+  ctx.fillStyle = colors.darkRoof;
+  ctx.fill();
+
+  ctx.strokeStyle = '#6d4935';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(-width / 2, 0);
+  ctx.lineTo(width / 2, 0);
+  ctx.stroke();
+
+  ctx.fillStyle = '#8fc2cf';
+  const windowCount = Math.max(2, Math.floor(width / 22));
+  for (let i = 0; i < windowCount; i++) {
+    const windowX = -width * 0.34 + i * (width * 0.68 / Math.max(1, windowCount - 1));
+    ctx.fillRect(windowX - 2.5, -height * 0.32, 5, 4);
+  }
+
+  ctx.restore();
+}
+
+function drawMooredBoat(x, y, length, width, color, side = 1) {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(side * 0.04);
+  ctx.fillStyle = 'rgba(6, 34, 48, 0.28)';
+  ctx.beginPath();
+  ctx.ellipse(3, 5, width * 0.7, length * 0.46, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.beginPath();
+  ctx.moveTo(0, -length / 2);
+  ctx.quadraticCurveTo(width / 2, -length * 0.25, width / 2, length * 0.28);
+  ctx.quadraticCurveTo(0, length * 0.5, -width / 2, length * 0.28);
+  ctx.quadraticCurveTo(-width / 2, -length * 0.25, 0, -length / 2);
+  ctx.closePath();
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.strokeStyle = '#e8efe9';
+  ctx.lineWidth = 1.2;
+  ctx.stroke();
+
+  ctx.fillStyle = '#dbc59f';
+  ctx.fillRect(-width * 0.28, -length * 0.05, width * 0.56, length * 0.18);
+  ctx.restore();
+}
+
+function drawHarborSign(x, y, label, accentColor) {
+  const signWidth = 116;
+  const signHeight = 24;
+
+  ctx.save();
+  ctx.translate(x, y);
+
+  ctx.fillStyle = 'rgba(22, 31, 31, 0.28)';
+  ctx.fillRect(-signWidth / 2 + 4, -signHeight / 2 + 5, signWidth, signHeight);
+
+  ctx.fillStyle = '#f1ead5';
+  ctx.strokeStyle = '#624931';
+  ctx.lineWidth = 2;
+  ctx.fillRect(-signWidth / 2, -signHeight / 2, signWidth, signHeight);
+  ctx.strokeRect(-signWidth / 2, -signHeight / 2, signWidth, signHeight);
+
+  ctx.fillStyle = accentColor;
+  ctx.fillRect(-signWidth / 2 + 4, -signHeight / 2 + 4, 5, signHeight - 8);
+  ctx.fillRect(signWidth / 2 - 9, -signHeight / 2 + 4, 5, signHeight - 8);
+
+  ctx.fillStyle = '#273b3d';
+  ctx.font = 'bold 11px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, 0, 1);
+  ctx.restore();
+}
+
+function drawHarborBeacon(x, y, accentColor) {
+  const pulse = 0.5 + Math.sin(animationTime * 0.08) * 0.15;
+  const glow = ctx.createRadialGradient(x, y, 0, x, y, 18);
+  glow.addColorStop(0, `rgba(255, 241, 157, ${0.35 + pulse * 0.2})`);
+  glow.addColorStop(1, 'rgba(255, 241, 157, 0)');
+  ctx.fillStyle = glow;
+  ctx.beginPath();
+  ctx.arc(x, y, 18, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = '#e8dfc2';
+  ctx.strokeStyle = '#4d4233';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.arc(x, y, 5.5, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = accentColor;
+  ctx.beginPath();
+  ctx.arc(x, y, 2.2, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+function drawIsland(screenX, screenY, accentColor = '#4caf50', worldX = 0, worldY = 0, scale = 1.0, isMinimap = false, portLabel = 'PORT') {
+  ctx.save();
+  ctx.translate(screenX, screenY);
+  ctx.scale(scale, scale);
+  ctx.rotate(getIslandPortRotation(worldX, worldY));
+  
+  const islandSize = goalConfig.radius;
+  const seed = worldX * 0.071 + worldY * 0.113;
+  const pointCount = isMinimap ? 14 : 22;
+  const shorePoints = createIslandShore(seed, islandSize, pointCount);
+  const shelfPoints = scaleLoopPoints(shorePoints, 1.14, 1.13, 4);
+  const beachPoints = scaleLoopPoints(shorePoints, 1.03, 1.02, 1);
+  const landPoints = scaleLoopPoints(shorePoints, 0.9, 0.88, -4);
+  const minimapLineWidth = 1 / Math.max(scale, 0.001);
+
+  // A translucent reef shelf and a narrow sand rim soften the transition to water.
+  traceSmoothLoop(shelfPoints);
+  ctx.fillStyle = 'rgba(73, 158, 166, 0.2)';
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(140, 211, 207, 0.3)';
+  ctx.lineWidth = isMinimap ? minimapLineWidth * 0.6 : 2;
+  ctx.stroke();
+
+  traceSmoothLoop(beachPoints);
+  ctx.fillStyle = '#d8c58f';
+  ctx.shadowColor = 'rgba(6, 35, 43, 0.2)';
+  ctx.shadowBlur = isMinimap ? 0 : 9;
+  ctx.shadowOffsetY = isMinimap ? 0 : 5;
+  ctx.fill();
+  ctx.shadowColor = 'transparent';
+  ctx.strokeStyle = '#b7aa78';
+  ctx.lineWidth = isMinimap ? minimapLineWidth * 0.75 : 1.6;
+  ctx.stroke();
+
+  traceSmoothLoop(landPoints);
+  const landGradient = ctx.createRadialGradient(
+    -islandSize * 0.18,
+    -islandSize * 0.22,
+    islandSize * 0.05,
+    0,
+    0,
+    islandSize
+  );
+  landGradient.addColorStop(0, '#78945a');
+  landGradient.addColorStop(0.55, '#547a4b');
+  landGradient.addColorStop(1, '#345f42');
+  ctx.fillStyle = landGradient;
+  ctx.fill();
+  ctx.strokeStyle = '#31553a';
+  ctx.lineWidth = isMinimap ? minimapLineWidth * 0.8 : 2;
+  ctx.stroke();
+
+  if (isMinimap) {
+    ctx.fillStyle = '#725038';
+    ctx.fillRect(-islandSize * 0.1, islandSize * 0.42, islandSize * 0.2, islandSize * 0.42);
+    ctx.fillStyle = accentColor;
+    ctx.beginPath();
+    ctx.arc(0, -islandSize * 0.48, minimapLineWidth * 1.1, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+    return;
+  }
+
+  // Soft terrain patches and a footpath break up the broad green interior.
+  ctx.save();
+  traceSmoothLoop(landPoints);
+  ctx.clip();
+  for (let patch = 0; patch < 7; patch++) {
+    const patchX = (hash01(seed, patch, 61) - 0.5) * islandSize * 1.2;
+    const patchY = (hash01(seed, patch, 62) - 0.5) * islandSize * 0.75;
+    const patchRadiusX = 24 + hash01(seed, patch, 63) * 55;
+    const patchRadiusY = 14 + hash01(seed, patch, 64) * 32;
+    ctx.fillStyle = patch % 2 === 0
+      ? 'rgba(36, 92, 54, 0.14)'
+      : 'rgba(164, 173, 94, 0.1)';
+    ctx.beginPath();
+    ctx.ellipse(patchX, patchY, patchRadiusX, patchRadiusY, hash01(seed, patch, 65), 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  ctx.strokeStyle = 'rgba(207, 192, 139, 0.42)';
+  ctx.lineWidth = 8;
+  ctx.beginPath();
+  ctx.moveTo(0, islandSize * 0.48);
+  ctx.bezierCurveTo(
+    -islandSize * 0.08,
+    islandSize * 0.18,
+    islandSize * 0.12,
+    -islandSize * 0.02,
+    0,
+    -islandSize * 0.43
+  );
+  ctx.stroke();
+  ctx.restore();
+
+  // Varied clustered canopies replace the evenly spaced circular trees.
+  for (let i = 0; i < 17; i++) {
+    const angle = hash01(seed, i, 71) * Math.PI * 2;
+    const distance = islandSize * (0.28 + hash01(seed, i, 72) * 0.38);
+    const treeX = Math.cos(angle) * distance;
+    const treeY = Math.sin(angle) * distance * 0.66 - islandSize * 0.02;
+    if (treeY > islandSize * 0.28 && Math.abs(treeX) < islandSize * 0.34) continue;
+    drawTopDownTree(
+      treeX,
+      treeY,
+      10 + hash01(seed, i, 73) * 8,
+      seed + i
+    );
+  }
+  
+  // A narrow finger pier now projects naturally out from the southern shore.
+  const pierX = -islandSize * 0.08;
+  const pierY = islandSize * 0.34;
+  const pierWidth = islandSize * 0.18;
+  const pierLength = islandSize * 0.52;
+  const pierHeadWidth = islandSize * 0.5;
+  const pierHeadHeight = islandSize * 0.1;
+
+  // A protected turning basin makes the end of the pier read as a real harbor
+  // instead of a wooden path laid over the island.
+  ctx.fillStyle = 'rgba(8, 54, 67, 0.3)';
+  ctx.beginPath();
+  ctx.ellipse(
+    pierX,
+    pierY + pierLength + islandSize * 0.035,
+    pierHeadWidth * 0.82,
+    islandSize * 0.115,
+    0,
+    0,
+    Math.PI * 2
+  );
+  ctx.fill();
+  ctx.fillStyle = 'rgba(78, 166, 177, 0.24)';
+  ctx.beginPath();
+  ctx.ellipse(
+    pierX,
+    pierY + pierLength + islandSize * 0.03,
+    pierHeadWidth * 0.58,
+    islandSize * 0.065,
+    0,
+    0,
+    Math.PI * 2
+  );
+  ctx.fill();
+
+  ctx.strokeStyle = 'rgba(182, 235, 230, 0.34)';
+  ctx.lineWidth = 1.2;
+  for (let ripple = 0; ripple < 3; ripple++) {
+    ctx.beginPath();
+    ctx.ellipse(
+      pierX,
+      pierY + pierLength + islandSize * (0.005 + ripple * 0.035),
+      pierHeadWidth * (0.3 + ripple * 0.12),
+      islandSize * (0.018 + ripple * 0.006),
+      0,
+      0,
+      Math.PI * 2
+    );
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = 'rgba(7, 32, 42, 0.25)';
+  ctx.fillRect(pierX - pierWidth / 2 + 6, pierY + 7, pierWidth, pierLength);
+  ctx.fillRect(
+    pierX - pierHeadWidth / 2 + 6,
+    pierY + pierLength - pierHeadHeight + 7,
+    pierHeadWidth,
+    pierHeadHeight
+  );
+
+  ctx.fillStyle = '#765334';
+  ctx.strokeStyle = '#493724';
+  ctx.lineWidth = 1.5;
+  ctx.fillRect(pierX - pierWidth / 2, pierY, pierWidth, pierLength);
+  ctx.strokeRect(pierX - pierWidth / 2, pierY, pierWidth, pierLength);
+  ctx.fillRect(
+    pierX - pierHeadWidth / 2,
+    pierY + pierLength - pierHeadHeight,
+    pierHeadWidth,
+    pierHeadHeight
+  );
+  ctx.strokeRect(
+    pierX - pierHeadWidth / 2,
+    pierY + pierLength - pierHeadHeight,
+    pierHeadWidth,
+    pierHeadHeight
+  );
+
+  ctx.strokeStyle = 'rgba(55, 38, 24, 0.65)';
+  ctx.lineWidth = 0.8;
+  for (let plankY = pierY + 9; plankY < pierY + pierLength; plankY += 10) {
+    ctx.beginPath();
+    ctx.moveTo(pierX - pierWidth / 2, plankY);
+    ctx.lineTo(pierX + pierWidth / 2, plankY);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = '#352c23';
+  for (const postX of [pierX - pierWidth * 0.42, pierX + pierWidth * 0.42]) {
+    for (let postY = pierY + 12; postY < pierY + pierLength; postY += 32) {
+      ctx.beginPath();
+      ctx.arc(postX, postY, 2.6, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  drawMooredBoat(
+    pierX - pierWidth * 0.95,
+    pierY + pierLength * 0.5,
+    48,
+    18,
+    '#b94b42',
+    -1
+  );
+  drawMooredBoat(
+    pierX + pierWidth * 1.05,
+    pierY + pierLength * 0.72,
+    39,
+    15,
+    '#d5a544',
+    1
+  );
+
+  // Compact loading crane and colored harbor bollards.
+  ctx.strokeStyle = '#c29a43';
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(pierX, pierY + pierLength * 0.26);
+  ctx.lineTo(pierX, pierY + pierLength * 0.1);
+  ctx.lineTo(pierX + pierWidth * 0.7, pierY + pierLength * 0.16);
+  ctx.stroke();
+  ctx.strokeStyle = '#51432f';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(pierX + pierWidth * 0.7, pierY + pierLength * 0.16);
+  ctx.lineTo(pierX + pierWidth * 0.7, pierY + pierLength * 0.28);
+  ctx.stroke();
+
+  ctx.fillStyle = accentColor;
+  for (const bollardX of [-1, 1]) {
+    ctx.beginPath();
+    ctx.arc(
+      pierX + bollardX * pierHeadWidth * 0.42,
+      pierY + pierLength - pierHeadHeight * 0.5,
+      3,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+  }
+
+  // Amber harbor lights and tall mooring posts give the player a readable
+  // visual destination at both ends of the route.
+  for (const postX of [
+    pierX - pierHeadWidth * 0.42,
+    pierX + pierHeadWidth * 0.42
+  ]) {
+    ctx.fillStyle = '#40372a';
+    ctx.fillRect(postX - 2, pierY + pierLength - pierHeadHeight - 9, 4, 17);
+    drawHarborBeacon(postX, pierY + pierLength - pierHeadHeight - 12, accentColor);
+  }
+  
+  // Top-down pitched roofs sit naturally in the scene and cast soft shadows.
+  drawRoofedBuilding(
+    -islandSize * 0.34,
+    -islandSize * 0.02,
+    islandSize * 0.34,
+    islandSize * 0.2,
+    -0.08,
+    {
+      wall: '#c49a6c',
+      lightRoof: '#a85d3c',
+      darkRoof: '#7c432f'
+    }
+  );
+  drawRoofedBuilding(
+    islandSize * 0.03,
+    -islandSize * 0.12,
+    islandSize * 0.23,
+    islandSize * 0.19,
+    0.06,
+    {
+      wall: '#ddc69b',
+      lightRoof: '#b56a43',
+      darkRoof: '#854b34'
+    }
+  );
+  drawRoofedBuilding(
+    islandSize * 0.35,
+    -islandSize * 0.03,
+    islandSize * 0.27,
+    islandSize * 0.17,
+    -0.04,
+    {
+      wall: '#bca57e',
+      lightRoof: '#8d5941',
+      darkRoof: '#684130'
+    }
+  );
+
+  // Cargo and nets cluster near the shore end of the pier.
+  for (let crate = 0; crate < 5; crate++) {
+    const crateX = pierX - islandSize * 0.16 + (crate % 3) * 16;
+    const crateY = pierY - 15 - Math.floor(crate / 3) * 15;
+    ctx.fillStyle = crate % 2 === 0 ? '#9b6b3c' : '#bb8650';
+    ctx.fillRect(crateX, crateY, 12, 11);
+    ctx.strokeStyle = '#68482f';
+    ctx.lineWidth = 0.8;
+    ctx.strokeRect(crateX, crateY, 12, 11);
+  }
+
+  drawHarborSign(
+    pierX - islandSize * 0.26,
+    pierY - islandSize * 0.035,
+    portLabel,
+    accentColor
+  );
+
+  // The lighthouse is viewed from above: concentric tower rings and a sweeping beam.
+  const lighthouseX = islandSize * 0.08;
+  const lighthouseY = -islandSize * 0.54;
+  const beamRotation = animationTime * 0.012;
+  const lightPulse = 0.5 + Math.sin(animationTime * 0.08) * 0.15;
+
+  ctx.save();
+  ctx.translate(lighthouseX, lighthouseY);
+  ctx.rotate(beamRotation);
+  const beamGradient = ctx.createLinearGradient(0, 0, islandSize * 0.48, 0);
+  beamGradient.addColorStop(0, `rgba(255, 244, 184, ${0.24 + lightPulse * 0.18})`);
+  beamGradient.addColorStop(1, 'rgba(255, 244, 184, 0)');
+  ctx.fillStyle = beamGradient;
+  ctx.beginPath();
+  ctx.moveTo(0, 0);
+  ctx.lineTo(islandSize * 0.52, -islandSize * 0.1);
+  ctx.lineTo(islandSize * 0.52, islandSize * 0.1);
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+
+  const beaconGlow = ctx.createRadialGradient(
+    lighthouseX,
+    lighthouseY,
+    0,
+    lighthouseX,
+    lighthouseY,
+    islandSize * 0.12
+  );
+  beaconGlow.addColorStop(0, `rgba(255, 244, 190, ${0.35 + lightPulse * 0.25})`);
+  beaconGlow.addColorStop(1, 'rgba(255, 244, 190, 0)');
+  ctx.fillStyle = beaconGlow;
+  ctx.beginPath();
+  ctx.arc(lighthouseX, lighthouseY, islandSize * 0.12, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = 'rgba(31, 42, 39, 0.25)';
+  ctx.beginPath();
+  ctx.arc(lighthouseX + 5, lighthouseY + 6, 17, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#f4f1df';
+  ctx.strokeStyle = '#b7b6aa';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.arc(lighthouseX, lighthouseY, 15, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  ctx.strokeStyle = accentColor;
+  ctx.lineWidth = 5;
+  ctx.beginPath();
+  ctx.arc(lighthouseX, lighthouseY, 10, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.fillStyle = '#fff4b8';
+  ctx.beginPath();
+  ctx.arc(lighthouseX, lighthouseY, 4.5, 0, Math.PI * 2);
+  ctx.fill();
+  
+  ctx.restore();
+}
+
+// Draw goal area (island with port)
+function drawGoal() {
+  if (!goal.generated) return;
+  
+  // Convert goal world position to screen position
+  const goalScreenX = worldToScreenX(goal.x);
+  const goalScreenY = worldToScreenY(goal.y);
+  
+  // Only draw if on screen (with some margin)
+  const margin = goalConfig.radius + 50;
+  if (!isOnScreen(goalScreenX, goalScreenY, margin)) {
+    return;
+  }
+  
+  // Draw the island using the reusable function
+  drawIsland(goalScreenX, goalScreenY, '#4caf50', goal.x, goal.y, renderCamera.zoom, false, 'ARRIVAL');
+}
+
+// Draw win screen
+function drawWinScreen() {
+  if (gameState !== 'won') return;
+  
+  // Voyage time excludes time spent paused or in the map view
+  const elapsedTime = voyageResult.time;
+  const minutes = Math.floor(elapsedTime / 60);
+  const seconds = Math.floor(elapsedTime % 60);
+  const timeString = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  
+  // Semi-transparent overlay
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, view.width, view.height);
+  
+  // Win text
+  ctx.save();
+  ctx.fillStyle = '#4caf50';
+  ctx.font = 'bold 48px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('YOU WIN!', view.width / 2, view.height / 2 - 120);
+  
+  // Time text
+  ctx.fillStyle = '#ffffff';
+  ctx.font = '24px Arial';
+  ctx.fillText(`Time: ${timeString}`, view.width / 2, view.height / 2 - 70);
+  
+  // Stats
+  const speedInKnots = Math.abs(ship.speed) * 10;
+  const distanceInNauticalMiles = totalDistance * 0.01;
+  ctx.fillText(`Distance: ${distanceInNauticalMiles.toFixed(2)} nm`, view.width / 2, view.height / 2 - 40);
+  
+  // The ship is locked in for the voyage, so it belongs with the time
+  ctx.fillText(`Ship: ${voyageResult.shipType.name}`, view.width / 2, view.height / 2 - 10);
+  
+  // Seed, so the same map can be shared and replayed with ?seed=
+  ctx.fillStyle = '#b8c7cc';
+  ctx.font = '16px Arial';
+  ctx.fillText(`Seed: ${worldSeed}`, view.width / 2, view.height / 2 + 18);
+  
+  // Restart button
+  const buttonX = view.width / 2;
+  const buttonY = view.height / 2 + 60;
+  const buttonWidth = 200;
+  const buttonHeight = 50;
+  
+  // Button background
+  ctx.fillStyle = '#4a90e2';
+  ctx.fillRect(buttonX - buttonWidth / 2, buttonY - buttonHeight / 2, buttonWidth, buttonHeight);
+  
+  // Button border
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(buttonX - buttonWidth / 2, buttonY - buttonHeight / 2, buttonWidth, buttonHeight);
+  
+  // Button text
+  ctx.fillStyle = '#ffffff';
+  ctx.font = '24px Arial';
+  ctx.fillText('Play Again', buttonX, buttonY);
+  
+  ctx.restore();
+  
+  // Store button bounds for click detection
+  ui.gameOverButton = {
+    x: buttonX - buttonWidth / 2,
+    y: buttonY - buttonHeight / 2,
+    width: buttonWidth,
+    height: buttonHeight
+  };
+}
+
+// Draw game over overlay
+function drawGameOver() {
+  if (gameState !== 'lost') return;
+  
+  // Semi-transparent overlay
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, view.width, view.height);
+  
+  // Game Over text
+  ctx.save();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 48px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const gameOverTitles = { sunk: 'THE SHIP SANK!', kraken: 'THE KRAKEN GOT YOU!', grounded: 'RUN AGROUND!' };
+  ctx.fillText(
+    gameOverTitles[gameOverReason] || 'GAME OVER',
+    view.width / 2,
+    view.height / 2 - 120
+  );
+  
+  // Calculate final stats
+  const speedInKnots = Math.abs(ship.speed) * 10;
+  const distanceInNauticalMiles = totalDistance * 0.01;
+  
+  // Stats text
+  ctx.font = '20px Arial';
+  ctx.fillText(`Final Speed: ${speedInKnots.toFixed(1)} knots`, view.width / 2, view.height / 2 - 70);
+  ctx.fillText(`Distance Traveled: ${distanceInNauticalMiles.toFixed(2)} nm`, view.width / 2, view.height / 2 - 40);
+  ctx.fillText(`Ship: ${voyageResult.shipType.name}`, view.width / 2, view.height / 2 - 10);
+  
+  // Seed, so the same map can be shared and replayed with ?seed=
+  ctx.fillStyle = '#b8c7cc';
+  ctx.font = '16px Arial';
+  ctx.fillText(`Seed: ${worldSeed}`, view.width / 2, view.height / 2 + 18);
+  
+  // Restart button
+  const buttonX = view.width / 2;
+  const buttonY = view.height / 2 + 60;
+  const buttonWidth = 200;
+  const buttonHeight = 50;
+  
+  // Button background
+  ctx.fillStyle = '#4a90e2';
+  ctx.fillRect(buttonX - buttonWidth / 2, buttonY - buttonHeight / 2, buttonWidth, buttonHeight);
+  
+  // Button border
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(buttonX - buttonWidth / 2, buttonY - buttonHeight / 2, buttonWidth, buttonHeight);
+  
+  // Button text
+  ctx.fillStyle = '#ffffff';
+  ctx.font = '24px Arial';
+  ctx.fillText('Play Again', buttonX, buttonY);
+  
+  ctx.restore();
+  
+  // Store button bounds for click detection
+  ui.gameOverButton = {
+    x: buttonX - buttonWidth / 2,
+    y: buttonY - buttonHeight / 2,
+    width: buttonWidth,
+    height: buttonHeight
+  };
+}
+
+// Draw UI overlay with ship info
+function drawUI() {
+  if (gameState === 'title' || gameState === 'won' || gameState === 'lost') return;
+  
+  ctx.save();
+  
+  // Speed conversion: 1 unit of speed ≈ 10 knots (adjust as needed)
+  const speedInKnots = Math.abs(ship.speed) * 10;
+  
+  // Format distance (convert to nautical miles, 1 unit ≈ 0.01 nautical miles)
+  const distanceInNauticalMiles = totalDistance * 0.01;
+  
+  // UI panel background (submarines get a second bar for battery and air,
+  // steamers a boiler pressure gauge beside the coal bar)
+  const hasBattery = ship.category === 'Submarines';
+  const hasBoilers = boilerRooms.length > 0;
+  const panelX = 20;
+  const panelY = 20;
+  const panelWidth = 230;
+  const panelHeight = hasBattery ? 250 : (hasBoilers ? 196 : 174);
+  
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+  
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+  
+  // Text styling
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 16px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  
+  // Ship and speed display
+  ctx.fillText(`Ship: ${ship.name}`, panelX + 10, panelY + 14);
+  ctx.fillText(`Speed: ${speedInKnots.toFixed(1)} knots`, panelX + 10, panelY + 40);
+  
+  // Distance display
+  ctx.fillText(`Distance: ${distanceInNauticalMiles.toFixed(2)} nm`, panelX + 10, panelY + 66);
+  
+  // Coal indicator: green (100-70%), yellow (70-20%), red (<20%)
+  const barX = panelX + 10;
+  const coalPercentage = (currentCoal / coalConfig.maxCoal) * 100;
+  const coalColor = coalPercentage >= 70 ? '#4caf50' : (coalPercentage >= 20 ? '#ffeb3b' : '#f44336');
+  drawHudBar('Coal:', coalPercentage, coalColor, barX, panelY + 94, hasBoilers ? 140 : 210);
+  
+  // Boiler pressure and stoking
+  if (hasBoilers) {
+    drawPressureGauge(panelX + 192, panelY + 116, 28);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Stoking (V/B): ${boilerConfig.stokingLevels[stokingLevel].label}`, barX, panelY + 142);
+  }
+  
+  // Battery and air indicator: blue until low, then red
+  if (hasBattery) {
+    const batteryPercentage = (batteryCharge / batteryConfig.maxCharge) * 100;
+    const batteryColor = batteryCharge < batteryConfig.lowCharge ? '#f44336' : '#4fc3f7';
+    drawHudBar('Battery / Air:', batteryPercentage, batteryColor, barX, panelY + 146);
+    
+    // Sonar readiness
+    let sonarStatus = 'ready';
+    if (!isSubmerged()) {
+      sonarStatus = 'dive to use';
+    } else if (sonarCooldown > 0) {
+      sonarStatus = `${Math.ceil(sonarCooldown * simulationConfig.stepMs / 1000)} s`;
+    }
+    ctx.fillStyle = sonarStatus === 'ready' ? '#7dffb0' : '#9fb3ba';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Sonar (E): ${sonarStatus}`, barX, panelY + 198);
+  }
+  
+  // One status line, most urgent first
+  const statusY = hasBattery ? panelY + 226 : (hasBoilers ? panelY + 170 : panelY + 150);
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.font = 'bold 12px Arial';
+  if (krakenChaseActive) {
+    ctx.fillStyle = '#ff737d';
+    ctx.fillText('KRAKEN CHASING YOU!', barX, statusY);
+  } else if (hasBoilers && getFiringBoilerRoomCount() < boilerRooms.length) {
+    ctx.fillStyle = '#ff737d';
+    ctx.fillText('BOILER BURST - RELIGHTING', barX, statusY);
+  } else if (hasBoilers && boilerPressure > boilerConfig.redLine) {
+    ctx.fillStyle = '#f5d873';
+    ctx.fillText('PRESSURE OVER THE RED LINE', barX, statusY);
+  } else if (hasBattery && forcedToSurface) {
+    ctx.fillStyle = '#ff737d';
+    ctx.fillText('BATTERY FLAT - SURFACED', barX, statusY);
+  } else if (hasBattery && isNearSeabed()) {
+    ctx.fillStyle = '#ff737d';
+    ctx.fillText('SHALLOW WATER - COME UP!', barX, statusY);
+  } else if (isSubmerged() && batteryCharge < batteryConfig.lowCharge) {
+    ctx.fillStyle = '#f5d873';
+    ctx.fillText('LOW BATTERY - SURFACE!', barX, statusY);
+  } else if (nearFuelRig) {
+    ctx.fillStyle = isRefueling ? '#9ff0b0' : '#f5d873';
+    ctx.fillText(
+      isRefueling ? 'REFUELING...' : 'STOP TO REFUEL',
+      barX,
+      statusY
+    );
+  }
+  
+  ctx.restore();
+}
+
+// Boiler pressure gauge: green up to working pressure, amber to the red
+// line and red beyond, with a lamp under it for each boiler room
+function drawPressureGauge(centerX, centerY, radius) {
+  const maxPressure = 1.3;
+  const startAngle = Math.PI * 0.75;
+  const toAngle = pressure => startAngle + Math.min(1, pressure / maxPressure) * Math.PI * 1.5;
+  
+  ctx.save();
+  ctx.fillStyle = '#1b2a31';
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = '#d7b46a';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  
+  ctx.lineWidth = 4;
+  for (const [from, to, color] of [
+    [0, 1, '#4caf50'],
+    [1, boilerConfig.redLine, '#ffeb3b'],
+    [boilerConfig.redLine, maxPressure, '#f44336']
+  ]) {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius - 5, toAngle(from), toAngle(to));
+    ctx.stroke();
+  }
+  
+  // Needle and readout
+  const needleAngle = toAngle(boilerPressure);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY);
+  ctx.lineTo(centerX + Math.cos(needleAngle) * (radius - 7), centerY + Math.sin(needleAngle) * (radius - 7));
+  ctx.stroke();
+  ctx.fillStyle = '#d7b46a';
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, 3, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 9px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`${Math.round(boilerPressure * boilerConfig.workingPsi)} psi`, centerX, centerY + radius * 0.55);
+  
+  // Boiler room lamps: lit while firing, dark while being relit
+  const lampSpacing = 9;
+  const firstLampX = centerX - (boilerRooms.length - 1) * lampSpacing / 2;
+  boilerRooms.forEach((stepsOut, index) => {
+    ctx.fillStyle = stepsOut === 0 ? '#ffa726' : '#555555';
+    ctx.beginPath();
+    ctx.arc(firstLampX + index * lampSpacing, centerY + radius + 7, 3, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.restore();
+}
+
+// Depth gauge beside the ship panel (submarines only): a water column with
+// a mark per depth level, the boat's depth and the ordered level
+function drawDepthGauge() {
+  if (ship.category !== 'Submarines') return;
+  if (gameState === 'title' || gameState === 'won' || gameState === 'lost') return;
+  
+  const panelX = 260;
+  const panelY = 20;
+  const panelWidth = 96;
+  const panelHeight = 250;
+  const columnX = panelX + 12;
+  const columnWidth = 12;
+  const columnTop = panelY + 36;
+  const columnHeight = 170;
+  const maxDepth = depthLevels[depthLevels.length - 1].depth;
+  const depthToY = depth => columnTop + (depth / maxDepth) * columnHeight;
+  
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+  
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('Depth', panelX + 10, panelY + 12);
+  
+  // Water column, darker with depth, filled down to the boat's depth
+  const water = ctx.createLinearGradient(0, columnTop, 0, columnTop + columnHeight);
+  water.addColorStop(0, 'rgba(79, 195, 247, 0.35)');
+  water.addColorStop(1, 'rgba(10, 40, 80, 0.6)');
+  ctx.fillStyle = water;
+  ctx.fillRect(columnX, columnTop, columnWidth, columnHeight);
+  ctx.fillStyle = '#4fc3f7';
+  ctx.fillRect(columnX, columnTop, columnWidth, depthToY(ship.depth) - columnTop);
+  
+  // Seabed under the boat, when it is within the gauge's range
+  const seabedDepth = getSeabedDepth(camera.x, camera.y);
+  if (seabedDepth < maxDepth) {
+    const seabedY = depthToY(seabedDepth);
+    ctx.fillStyle = '#8d6e4a';
+    ctx.fillRect(columnX, seabedY, columnWidth, columnTop + columnHeight - seabedY);
+  }
+  
+  // One tick and label per depth level; the current level is highlighted
+  const currentLevel = getDepthLevel();
+  ctx.font = '11px Arial';
+  ctx.textBaseline = 'middle';
+  for (const level of depthLevels) {
+    const tickY = depthToY(level.depth);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(columnX - 3, tickY);
+    ctx.lineTo(columnX + columnWidth + 3, tickY);
+    ctx.stroke();
+    ctx.fillStyle = level === currentLevel ? '#ffffff' : '#9fb3ba';
+    ctx.fillText(level.label, columnX + columnWidth + 8, tickY);
+  }
+  
+  // Ordered depth marker
+  const targetY = depthToY(depthLevels[ship.targetDepthLevel].depth);
+  ctx.fillStyle = '#f5d873';
+  ctx.beginPath();
+  ctx.moveTo(columnX - 3, targetY);
+  ctx.lineTo(columnX - 9, targetY - 5);
+  ctx.lineTo(columnX - 9, targetY + 5);
+  ctx.closePath();
+  ctx.fill();
+  
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px Arial';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`${Math.round(ship.depth)} m`, panelX + 10, panelY + 222);
+  
+  ctx.restore();
+}
+
+// Whether the ordered depth would take the boat close to the seabed here
+function isNearSeabed() {
+  const targetDepth = depthLevels[ship.targetDepthLevel].depth;
+  return targetDepth > 0 &&
+    getSeabedDepth(camera.x, camera.y) - targetDepth < seabedConfig.warningClearance;
+}
+
+// Labelled HUD bar (label above, percentage inside)
+function drawHudBar(label, percentage, color, x, y, barWidth = 210) {
+  const barY = y + 22;
+  const barHeight = 12;
+  
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(label, x, y);
+  
+  // Bar background and fill
+  ctx.fillStyle = 'rgba(50, 50, 50, 0.8)';
+  ctx.fillRect(x, barY, barWidth, barHeight);
+  ctx.fillStyle = color;
+  ctx.fillRect(x, barY, (percentage / 100) * barWidth, barHeight);
+  
+  // Bar border
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x, barY, barWidth, barHeight);
+  
+  // Percentage text
+  ctx.fillStyle = '#ffffff';
+  ctx.font = '12px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText(`${percentage.toFixed(0)}%`, x + barWidth / 2, barY + barHeight / 2 + 4);
+}
+
+// Draw ice barriers at world edges
+function drawIceBarriers() {
+  const screenCenterX = view.width / 2;
+  const screenCenterY = view.height / 2;
+  
+  ctx.save();
+  ctx.fillStyle = '#b0d4e8'; // Light blue-white ice color
+  ctx.strokeStyle = '#8bb8d0';
+  ctx.lineWidth = 2;
+  
+  const barrierWidth = worldConfig.iceBarrierWidth;
+  
+  // Top barrier (world Y from 0 to barrierWidth)
+  const topBarrierWorldStart = 0;
+  const topBarrierWorldEnd = barrierWidth;
+  const topBarrierScreenStart = topBarrierWorldStart - renderCamera.y + screenCenterY;
+  const topBarrierScreenEnd = topBarrierWorldEnd - renderCamera.y + screenCenterY;
+  
+  if (topBarrierScreenEnd > 0 && topBarrierScreenStart < view.height) {
+    const drawStart = Math.max(0, topBarrierScreenStart);
+    const drawEnd = Math.min(view.height, topBarrierScreenEnd);
+    const drawHeight = drawEnd - drawStart;
+    if (drawHeight > 0) {
+      ctx.fillRect(0, drawStart, view.width, drawHeight);
+      ctx.strokeRect(0, drawStart, view.width, drawHeight);
+    }
+  }
+  
+  // Bottom barrier (world Y from height-barrierWidth to height)
+  const bottomBarrierWorldStart = worldConfig.height - barrierWidth;
+  const bottomBarrierWorldEnd = worldConfig.height;
+  const bottomBarrierScreenStart = bottomBarrierWorldStart - renderCamera.y + screenCenterY;
+  const bottomBarrierScreenEnd = bottomBarrierWorldEnd - renderCamera.y + screenCenterY;
+  
+  if (bottomBarrierScreenEnd > 0 && bottomBarrierScreenStart < view.height) {
+    const drawStart = Math.max(0, bottomBarrierScreenStart);
+    const drawEnd = Math.min(view.height, bottomBarrierScreenEnd);
+    const drawHeight = drawEnd - drawStart;
+    if (drawHeight > 0) {
+      ctx.fillRect(0, drawStart, view.width, drawHeight);
+      ctx.strokeRect(0, drawStart, view.width, drawHeight);
+    }
+  }
+  
+  // Left barrier (world X from 0 to barrierWidth)
+  const leftBarrierWorldStart = 0;
+  const leftBarrierWorldEnd = barrierWidth;
+  const leftBarrierScreenStart = leftBarrierWorldStart - renderCamera.x + screenCenterX;
+  const leftBarrierScreenEnd = leftBarrierWorldEnd - renderCamera.x + screenCenterX;
+  
+  if (leftBarrierScreenEnd > 0 && leftBarrierScreenStart < view.width) {
+    const drawStart = Math.max(0, leftBarrierScreenStart);
+    const drawEnd = Math.min(view.width, leftBarrierScreenEnd);
+    const drawWidth = drawEnd - drawStart;
+    if (drawWidth > 0) {
+      ctx.fillRect(drawStart, 0, drawWidth, view.height);
+      ctx.strokeRect(drawStart, 0, drawWidth, view.height);
+    }
+  }
+  
+  // Right barrier (world X from width-barrierWidth to width)
+  const rightBarrierWorldStart = worldConfig.width - barrierWidth;
+  const rightBarrierWorldEnd = worldConfig.width;
+  const rightBarrierScreenStart = rightBarrierWorldStart - renderCamera.x + screenCenterX;
+  const rightBarrierScreenEnd = rightBarrierWorldEnd - renderCamera.x + screenCenterX;
+  
+  if (rightBarrierScreenEnd > 0 && rightBarrierScreenStart < view.width) {
+    const drawStart = Math.max(0, rightBarrierScreenStart);
+    const drawEnd = Math.min(view.width, rightBarrierScreenEnd);
+    const drawWidth = drawEnd - drawStart;
+    if (drawWidth > 0) {
+      ctx.fillRect(drawStart, 0, drawWidth, view.height);
+      ctx.strokeRect(drawStart, 0, drawWidth, view.height);
+    }
+  }
+  
+  ctx.restore();
+}
+
+// Draw minimap in upper right corner (or full screen if expanded)
+function drawMinimap() {
+  if (gameState === 'title' || gameState === 'lost') return;
+  
+  const minimapExpanded = gameState === 'mapView';
+  ctx.save();
+  
+  let minimapSize, minimapX, minimapY, padding, mapSize;
+  
+  if (minimapExpanded) {
+    // Full screen minimap
+    minimapSize = Math.min(view.width, view.height);
+    minimapX = (view.width - minimapSize) / 2;
+    minimapY = (view.height - minimapSize) / 2;
+    padding = 40;
+    mapSize = minimapSize - padding * 2;
+  } else {
+    // Small minimap in corner
+    minimapSize = 200;
+    minimapX = view.width - minimapSize - 20;
+    minimapY = 20;
+    padding = 10;
+    mapSize = minimapSize - padding * 2;
+  }
+  
+  // Minimap background - blue water
+  ctx.fillStyle = minimapExpanded ? '#1a3a5a' : '#2a4a6a';
+  ctx.fillRect(minimapX, minimapY, minimapSize, minimapSize);
+  
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = minimapExpanded ? 4 : 2;
+  ctx.strokeRect(minimapX, minimapY, minimapSize, minimapSize);
+  
+  // Calculate world to minimap scale
+  const scaleX = mapSize / worldConfig.width;
+  const scaleY = mapSize / worldConfig.height;
+  const scale = Math.min(scaleX, scaleY); // Use smaller scale to fit both dimensions
+  
+  const mapOffsetX = minimapX + padding;
+  const mapOffsetY = minimapY + padding;
+  
+  // Draw world boundaries
+  ctx.strokeStyle = '#888888';
+  ctx.lineWidth = minimapExpanded ? 2 : 1;
+  ctx.strokeRect(mapOffsetX, mapOffsetY, worldConfig.width * scale, worldConfig.height * scale);
+  
+  // Draw start port on minimap (reuse drawIsland with scaling)
+  if (startPort.generated) {
+    const startPortMapX = mapOffsetX + startPort.x * scale;
+    const startPortMapY = mapOffsetY + startPort.y * scale;
+    // Scale factor: world-to-minimap scale (island will be drawn at goalConfig.radius * scale pixels)
+    drawIsland(startPortMapX, startPortMapY, '#6B8E23', startPort.x, startPort.y, scale, true);
+    
+    // Color indicator circle around island
+    const indicatorRadius = goalConfig.radius * scale * 1.1;
+    ctx.strokeStyle = '#6B8E23';
+    ctx.lineWidth = minimapExpanded ? 2 : 1;
+    ctx.beginPath();
+    ctx.arc(startPortMapX, startPortMapY, indicatorRadius, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  
+  // Draw goal on minimap (reuse drawIsland with scaling)
+  if (goal.generated) {
+    const goalMapX = mapOffsetX + goal.x * scale;
+    const goalMapY = mapOffsetY + goal.y * scale;
+    // Scale factor: world-to-minimap scale (island will be drawn at goalConfig.radius * scale pixels)
+    drawIsland(goalMapX, goalMapY, '#4caf50', goal.x, goal.y, scale, true);
+    
+    // Color indicator circle around island
+    const indicatorRadius = goalConfig.radius * scale * 1.1;
+    ctx.strokeStyle = '#4caf50';
+    ctx.lineWidth = minimapExpanded ? 2 : 1;
+    ctx.beginPath();
+    ctx.arc(goalMapX, goalMapY, indicatorRadius, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  // Oil rigs appear as gold derrick markers on the route map.
+  for (const rig of fuelRigs) {
+    const rigMapX = mapOffsetX + rig.x * scale;
+    const rigMapY = mapOffsetY + rig.y * scale;
+    if (minimapExpanded) {
+      ctx.strokeStyle = 'rgba(241, 199, 93, 0.35)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(rigMapX, rigMapY, fuelRigConfig.refuelRadius * scale, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    drawFuelRigMarker(
+      rigMapX,
+      rigMapY,
+      fuelRigConfig.refuelRadius * scale * (minimapExpanded ? 0.3 : 0.2),
+      minimapExpanded
+    );
+  }
+
+  // Contacts the player has sighted. Krakens are plotted where they were
+  // last seen, fading as the sighting gets older.
+  const stepsPerSecond = 1000 / simulationConfig.stepMs;
+  for (const sighting of sightings.values()) {
+    const contactMapX = mapOffsetX + sighting.x * scale;
+    const contactMapY = mapOffsetY + sighting.y * scale;
+    ctx.beginPath();
+    if (sighting.type === 'iceberg') {
+      ctx.fillStyle = 'rgba(220, 238, 244, 0.8)';
+      ctx.arc(contactMapX, contactMapY, Math.max(1, sighting.size * scale), 0, Math.PI * 2);
+    } else {
+      const ageInSeconds = (voyageSteps - sighting.step) / stepsPerSecond;
+      ctx.fillStyle = `rgba(255, 90, 100, ${Math.max(0.3, 1 - ageInSeconds / 30)})`;
+      ctx.arc(contactMapX, contactMapY, minimapExpanded ? 5 : 3, 0, Math.PI * 2);
+    }
+    ctx.fill();
+  }
+
+  // Wrecks remain visible in the route history after restarting the game.
+  const mappedWrecks = wreckIndex.query(0, 0, worldConfig.width, worldConfig.height);
+  for (const shipwreck of mappedWrecks) {
+    const wreckMapX = mapOffsetX + shipwreck.x * scale;
+    const wreckMapY = mapOffsetY + shipwreck.y * scale;
+    drawShipwreckMarker(
+      wreckMapX,
+      wreckMapY,
+      shipwreck.size * scale * (minimapExpanded ? 0.32 : 0.22),
+      minimapExpanded
+    );
+  }
+  
+  // Sonar echoes, fading as they age
+  for (const echo of sonarEchoes.values()) {
+    const fade = Math.max(0, 1 - (voyageSteps - echo.step) / sonarConfig.echoDurationSteps);
+    ctx.beginPath();
+    ctx.strokeStyle = echo.type === 'kraken'
+      ? `rgba(255, 90, 100, ${fade})`
+      : `rgba(125, 255, 176, ${fade})`;
+    ctx.lineWidth = minimapExpanded ? 2 : 1;
+    ctx.arc(
+      mapOffsetX + echo.x * scale,
+      mapOffsetY + echo.y * scale,
+      Math.max(minimapExpanded ? 4 : 2, (echo.size || 0) * scale),
+      0,
+      Math.PI * 2
+    );
+    ctx.stroke();
+  }
+  
+  // Draw ship position as miniature ship outline
+  const shipMapX = mapOffsetX + renderCamera.x * scale;
+  const shipMapY = mapOffsetY + renderCamera.y * scale;
+  
+  ctx.save();
+  ctx.translate(shipMapX, shipMapY);
+  ctx.rotate(renderCamera.shipRotation);
+  
+  // Scale for minimap (ship is much smaller on minimap)
+  const minimapShipScale = minimapExpanded ? 0.15 : 0.08;
+  const minimapLength = ship.length * minimapShipScale;
+  const minimapWidth = ship.width * minimapShipScale;
+  
+  // Check category and render accordingly
+  if (ship.category === 'Submarines') {
+    traceSubmarineHull(minimapLength, minimapWidth);
+    if (isSubmerged()) {
+      ctx.strokeStyle = 'rgba(255, 0, 0, 0.4)'; // Semi-transparent red
+      ctx.lineWidth = minimapExpanded ? 2 : 1;
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = ship.visualStyle.hullColor || '#202b30';
+      ctx.fill();
+      ctx.strokeStyle = '#ff0000';
+      ctx.lineWidth = minimapExpanded ? 2 : 1;
+      ctx.stroke();
+
+      // Draw simplified conning tower (elongated cylinder/ellipse forward)
+      const towerLength = minimapLength * 0.25;
+      const towerWidth = ship.conningTowerSize * minimapShipScale;
+      const towerX = minimapLength * 0.15;
+      ctx.fillStyle = '#1a1a1a';
+      ctx.beginPath();
+      ctx.ellipse(towerX, 0, towerLength / 2, towerWidth / 2, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = '#ff0000';
+      ctx.lineWidth = minimapExpanded ? 1 : 0.5;
+      ctx.stroke();
+    }
+  } else {
+    traceSurfaceHull(
+      minimapLength,
+      minimapWidth,
+      ship.visualStyle.hullProfile || 'classic'
+    );
+    ctx.fillStyle = ship.visualStyle.hullColor || '#17222c';
+    ctx.fill();
+    ctx.strokeStyle = '#ff0000';
+    ctx.lineWidth = minimapExpanded ? 2 : 1;
+    ctx.stroke();
+    
+    // Draw simplified superstructure.
+    const structureLength = minimapLength * (ship.visualStyle.superstructureLength || 0.6);
+    const structureWidth = minimapWidth * (ship.visualStyle.superstructureWidth || 0.46);
+    traceRoundedRect(
+      -structureLength / 2,
+      -structureWidth / 2,
+      structureLength,
+      structureWidth,
+      Math.max(0.5, structureWidth * 0.15)
+    );
+    ctx.fillStyle = ship.visualStyle.superstructureColor || '#ffffff';
+    ctx.fill();
+    ctx.strokeStyle = '#ff0000';
+    ctx.lineWidth = minimapExpanded ? 1.5 : 0.5;
+    ctx.stroke();
+    
+    // Draw simplified smokestacks (small circles)
+    const stackRadius = minimapExpanded ? 1.5 : 0.8;
+    const stackSpan = Math.min(minimapLength * 0.36, structureLength * 0.62);
+    
+    ctx.fillStyle = ship.visualStyle.funnelColor || '#d39a43';
+    for (let i = 0; i < ship.stackCount; i++) {
+      const stackX = ship.stackCount === 1
+        ? 0
+        : -stackSpan / 2 + i * (stackSpan / (ship.stackCount - 1));
+      ctx.beginPath();
+      ctx.arc(stackX, 0, stackRadius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  
+  ctx.restore();
+  
+  // Minimap label and instructions
+  ctx.fillStyle = '#ffffff';
+  ctx.font = minimapExpanded ? 'bold 24px Arial' : 'bold 12px Arial';
+  ctx.textAlign = 'left';
+  ctx.fillText('Map', minimapX + (minimapExpanded ? 20 : 10), minimapY + (minimapExpanded ? 30 : 10));
+  
+  if (minimapExpanded) {
+    ctx.font = '18px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('Click to close', view.width / 2, minimapY + minimapSize - 20);
+  } else {
+    ctx.font = '10px Arial';
+    ctx.fillText('Click to expand', minimapX + 10, minimapY + minimapSize - 10);
+  }
+  
+  // Store minimap bounds for click detection
+  ui.minimapBounds = {
+    x: minimapX,
+    y: minimapY,
+    width: minimapSize,
+    height: minimapSize
+  };
+  
+  ctx.restore();
+}
+
+// Draw ship (always at screen center)
+function drawShip() {
+  // Ship is always at screen center, scaled by the camera zoom
+  ctx.save();
+  ctx.translate(view.width / 2, view.height / 2);
+  ctx.scale(renderCamera.zoom, renderCamera.zoom);
+  
+  // Check category and render accordingly
+  if (ship.category === 'Submarines') {
+    drawSubmarine(
+      0,
+      0,
+      ship.length,
+      ship.width,
+      ship.conningTowerSize,
+      renderCamera.shipRotation,
+      ship.depth / depthLevels[depthLevels.length - 1].depth,
+      ship.visualStyle
+    );
+  } else {
+    drawSurfaceShip(
+      0,
+      0,
+      ship.length,
+      ship.width,
+      ship.stackCount,
+      ship.stackRadius,
+      renderCamera.shipRotation,
+      ship.visualStyle
+    );
+    drawFunnelSmoke();
+  }
+  
+  // Water showing through the deck over flooded compartments
+  ctx.rotate(renderCamera.shipRotation);
+  traceShipHull(ship.length, ship.width);
+  ctx.clip();
+  drawCompartmentWater(ship.length / 2, -ship.width / 2, ship.length, ship.width, 0.5);
+  
+  // The flood draft sits her lower: the sea creeps in over the rail, up to
+  // a quarter of the beam each side on the brink of sinking
+  const brinkDraft = damageConfig.maxFloodedCompartments * damageConfig.draftPerCompartment;
+  const settling = Math.min(1, getFloodDraft() / brinkDraft);
+  if (settling > 0) {
+    traceShipHull(ship.length, ship.width);
+    ctx.strokeStyle = `rgba(33, 79, 104, ${0.35 + settling * 0.4})`;
+    ctx.lineWidth = ship.width * 0.5 * settling;
+    ctx.stroke();
+  }
+  
+  ctx.restore();
+}
+
+// Smoke from the funnels of firing boiler rooms, streaming away along the
+// wind felt on deck (the true wind less the ship's own motion). Drawn in
+// ship-centered world units; harder stoking makes it thicker.
+function drawFunnelSmoke() {
+  if (boilerRooms.length === 0 || currentCoal <= 0) return;
+  
+  const puffCount = 8;
+  const trailSteps = 40; // Steps of apparent wind the trail stretches over
+  const velocity = getShipVelocity();
+  const windSpeed = wind.strength * windConfig.galeSpeed;
+  const apparentX = Math.cos(wind.direction) * windSpeed - velocity.x;
+  const apparentY = Math.sin(wind.direction) * windSpeed - velocity.y;
+  const density = Math.min(1, boilerConfig.stokingLevels[stokingLevel].coal);
+  const cos = Math.cos(renderCamera.shipRotation);
+  const sin = Math.sin(renderCamera.shipRotation);
+  
+  ctx.save();
+  getFunnelPositions(ship.length, ship.stackCount, ship.visualStyle).forEach((funnelX, index) => {
+    if (boilerRooms[index] > 0) return;
+    for (let puff = 0; puff < puffCount; puff++) {
+      const age = (animationTime * 0.02 + puff / puffCount + index * 0.37) % 1;
+      ctx.fillStyle = `rgba(70, 68, 66, ${(1 - age) * 0.6 * density})`;
+      ctx.beginPath();
+      ctx.arc(
+        funnelX * cos + apparentX * age * trailSteps,
+        funnelX * sin + apparentY * age * trailSteps,
+        ship.stackRadius * (0.6 + age * 1.8),
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    }
+  });
+  ctx.restore();
+}
+
+// Trace the current ship's hull outline, bow along positive X
+function traceShipHull(length, width) {
+  if (ship.category === 'Submarines') {
+    traceSubmarineHull(length, width);
+  } else {
+    traceSurfaceHull(length, width, ship.visualStyle.hullProfile);
+  }
+}
+
+// Fill each compartment of a hull drawn from bowX backwards with water up to
+// its flooding level; full compartments turn red
+function drawCompartmentWater(bowX, top, length, height, opacity) {
+  const compartmentLength = length / ship.compartments.length;
+  ship.compartments.forEach((compartment, index) => {
+    if (compartment.flooding <= 0) return;
+    const waterHeight = height * compartment.flooding;
+    ctx.fillStyle = compartment.flooding >= 1
+      ? `rgba(229, 57, 53, ${opacity})`
+      : `rgba(41, 121, 189, ${opacity})`;
+    ctx.fillRect(bowX - (index + 1) * compartmentLength, top + height - waterHeight, compartmentLength, waterHeight);
+  });
+}
+
+// Compass bearing in degrees (0 = north, clockwise) of a screen angle; the
+// view is always north-up
+function toBearing(angle) {
+  return ((angle * 180 / Math.PI + 90) % 360 + 360) % 360;
+}
+
+// Wind rose under the minimap: an arrow flying downwind over the compass
+// points, with the direction the wind comes from and its speed
+function drawWindRose() {
+  if (gameState === 'title' || gameState === 'won' || gameState === 'lost') return;
+  
+  const panelWidth = 200;
+  const panelHeight = 110;
+  const panelX = view.width - panelWidth - 20;
+  const panelY = 240;
+  const centerX = panelX + 55;
+  const centerY = panelY + panelHeight / 2;
+  const radius = 40;
+  const compassPoints = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+  
+  // Rose: a ring with the four cardinal points
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius - 10, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 11px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ['N', 'E', 'S', 'W'].forEach((label, index) => {
+    const angle = -Math.PI / 2 + index * Math.PI / 2;
+    ctx.fillText(label, centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+  });
+  
+  // Arrow from the windward side to the leeward side, longer in a stronger wind
+  const arrowLength = (radius - 12) * (0.4 + wind.strength * 0.6);
+  const tipX = centerX + Math.cos(wind.direction) * arrowLength;
+  const tipY = centerY + Math.sin(wind.direction) * arrowLength;
+  ctx.strokeStyle = '#4fc3f7';
+  ctx.fillStyle = '#4fc3f7';
+  ctx.lineWidth = 3;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(centerX - Math.cos(wind.direction) * arrowLength, centerY - Math.sin(wind.direction) * arrowLength);
+  ctx.lineTo(tipX, tipY);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(tipX + Math.cos(wind.direction) * 6, tipY + Math.sin(wind.direction) * 6);
+  ctx.lineTo(tipX + Math.cos(wind.direction + Math.PI * 0.8) * 9, tipY + Math.sin(wind.direction + Math.PI * 0.8) * 9);
+  ctx.lineTo(tipX + Math.cos(wind.direction - Math.PI * 0.8) * 9, tipY + Math.sin(wind.direction - Math.PI * 0.8) * 9);
+  ctx.closePath();
+  ctx.fill();
+  
+  // Readout: where the wind comes from, and its speed (1 unit = 10 knots)
+  const fromBearing = toBearing(wind.direction + Math.PI);
+  const windInKnots = wind.strength * windConfig.galeSpeed * 10;
+  ctx.fillStyle = '#ffffff';
+  ctx.textAlign = 'left';
+  ctx.font = 'bold 14px Arial';
+  ctx.fillText('Wind', panelX + 108, panelY + 26);
+  ctx.font = '13px Arial';
+  ctx.fillText(`From ${compassPoints[Math.round(fromBearing / 45) % 8]}`, panelX + 108, panelY + 50);
+  ctx.fillText(`${Math.round(fromBearing)}°`, panelX + 108, panelY + 68);
+  ctx.fillText(`${windInKnots.toFixed(0)} knots`, panelX + 108, panelY + 86);
+  ctx.restore();
+}
+
+// Telegraph panel height: the dial plus a readout line per engine
+function getTelegraphHeight() {
+  return 182 + ship.engines.length * 18;
+}
+
+// Engine telegraph in the bottom right: a dial with the orders from full
+// astern (left) through stop (top) to full ahead (right). Each engine has
+// a handle at its order and a marker on the rim where its RPM really is.
+function drawTelegraph() {
+  if (gameState === 'title' || gameState === 'won' || gameState === 'lost') return;
+  
+  const panelWidth = 220;
+  const panelHeight = getTelegraphHeight();
+  const panelX = view.width - panelWidth - 20;
+  const panelY = view.height - panelHeight - bottomHudConfig.margin;
+  const centerX = panelX + panelWidth / 2;
+  const centerY = panelY + 104;
+  const radius = 70;
+  const sideColors = { center: '#ffffff', port: '#ef5350', starboard: '#66bb6a' };
+  const sideLabels = { center: '', port: 'P: ', starboard: 'S: ' };
+  
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+  
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('Telegraph', panelX + 10, panelY + 10);
+  
+  // Brass-rimmed face, tinted red on the astern side and green ahead
+  ctx.fillStyle = '#1b2a31';
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+  ctx.fill();
+  for (const [from, to, color] of [
+    [getTelegraphAngle(-1), -Math.PI / 2, 'rgba(244, 67, 54, 0.22)'],
+    [-Math.PI / 2, getTelegraphAngle(1), 'rgba(76, 175, 80, 0.22)']
+  ]) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.arc(centerX, centerY, radius, from, to);
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.strokeStyle = '#d7b46a';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+  ctx.stroke();
+  
+  // One tick and short label per order
+  ctx.font = 'bold 9px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (const order of telegraphOrders) {
+    const angle = getTelegraphAngle(order.power);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    ctx.strokeStyle = '#d7b46a';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(centerX + cos * radius * 0.9, centerY + sin * radius * 0.9);
+    ctx.lineTo(centerX + cos * radius, centerY + sin * radius);
+    ctx.stroke();
+    const shortLabel = order.power === 0
+      ? 'STOP'
+      : order.label.replace(/ (Ahead|Astern)$/, '').replace('Dead Slow', 'D.SLOW').toUpperCase();
+    ctx.fillStyle = '#c8d6da';
+    ctx.fillText(shortLabel, centerX + cos * radius * 0.68, centerY + sin * radius * 0.68);
+  }
+  ctx.font = 'bold 10px Arial';
+  ctx.textAlign = 'right';
+  ctx.fillStyle = '#ef9a9a';
+  ctx.fillText('ASTERN', centerX - radius * 0.55, centerY + radius * 0.9);
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#a5d6a7';
+  ctx.fillText('AHEAD', centerX + radius * 0.55, centerY + radius * 0.9);
+  
+  // Handles at the orders (port longer than starboard so both show) and
+  // RPM markers just outside the rim
+  ship.engines.forEach((engine, index) => {
+    const color = sideColors[engine.side];
+    const orderAngle = getTelegraphAngle(telegraphOrders[engine.order].power);
+    const handleLength = radius * (0.55 - index * 0.12);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.lineTo(centerX + Math.cos(orderAngle) * handleLength, centerY + Math.sin(orderAngle) * handleLength);
+    ctx.stroke();
+    
+    const rpmAngle = getTelegraphAngle(engine.rpm);
+    ctx.save();
+    ctx.translate(centerX + Math.cos(rpmAngle) * (radius + 2), centerY + Math.sin(rpmAngle) * (radius + 2));
+    ctx.rotate(rpmAngle);
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(8, -5);
+    ctx.lineTo(8, 5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  });
+  ctx.fillStyle = '#d7b46a';
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, 5, 0, Math.PI * 2);
+  ctx.fill();
+  
+  // Order and RPM per engine; an engine being reversed says so
+  ctx.font = 'bold 12px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ship.engines.forEach((engine, index) => {
+    const status = engine.reversingSteps > 0
+      ? 'reversing'
+      : `${Math.round(Math.abs(engine.rpm) * 100)}% ${engine.rpm < 0 ? 'astern' : 'RPM'}`;
+    ctx.fillStyle = sideColors[engine.side];
+    ctx.fillText(
+      `${sideLabels[engine.side]}${telegraphOrders[engine.order].label} - ${status}`,
+      panelX + 10,
+      panelY + 186 + index * 18
+    );
+  });
+  
+  ctx.restore();
+}
+
+// Angle on the telegraph dial for a share of full RPM. The orders are
+// evenly spaced around the face, so in between them it interpolates.
+function getTelegraphAngle(power) {
+  const spacing = Math.PI * 0.19; // Between neighbouring orders
+  const stop = (telegraphOrders.length - 1) / 2;
+  let position = telegraphOrders.length - 1;
+  for (let i = 0; i < telegraphOrders.length - 1; i++) {
+    const lower = telegraphOrders[i].power;
+    const upper = telegraphOrders[i + 1].power;
+    if (power <= upper) {
+      position = i + Math.max(0, (power - lower) / (upper - lower));
+      break;
+    }
+  }
+  return -Math.PI / 2 + (position - stop) * spacing;
+}
+
+// Bottom HUD row: panels stand `margin` above the bottom edge, and anything
+// drawn over the row keeps `gap` clear of the panels
+const bottomHudConfig = {
+  margin: 20,
+  gap: 12,
+  damageControlHeight: 112
+};
+
+// Damage-control panel: the compartments along a hull silhouette, bow to
+// the right, with their water level, breaches and the ship's extra draft
+function drawDamageControl() {
+  if (gameState === 'title' || gameState === 'won' || gameState === 'lost') return;
+  
+  const panelWidth = 300;
+  const panelHeight = bottomHudConfig.damageControlHeight;
+  const panelX = 20;
+  const panelY = view.height - panelHeight - bottomHudConfig.margin;
+  const hullLength = panelWidth - 20;
+  const hullHeight = 34;
+  const hullTop = panelY + 34;
+  const hullCenterX = panelX + 10 + hullLength / 2;
+  const compartmentLength = hullLength / ship.compartments.length;
+  
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+  
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('Damage control', panelX + 10, panelY + 10);
+  
+  // Hull silhouette with the water inside it
+  ctx.save();
+  ctx.translate(hullCenterX, hullTop + hullHeight / 2);
+  traceShipHull(hullLength, hullHeight);
+  ctx.fillStyle = 'rgba(60, 70, 76, 0.9)';
+  ctx.fill();
+  ctx.save();
+  ctx.clip();
+  drawCompartmentWater(hullLength / 2, -hullHeight / 2, hullLength, hullHeight, 0.9);
+  ctx.restore();
+  
+  // Bulkheads, and a red slash over every breached compartment
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+  ctx.lineWidth = 1;
+  for (let index = 1; index < ship.compartments.length; index++) {
+    const bulkheadX = hullLength / 2 - index * compartmentLength;
+    ctx.beginPath();
+    ctx.moveTo(bulkheadX, -hullHeight / 2);
+    ctx.lineTo(bulkheadX, hullHeight / 2);
+    ctx.stroke();
+  }
+  ship.compartments.forEach((compartment, index) => {
+    if (compartment.breach <= 0) return;
+    const centerX = hullLength / 2 - (index + 0.5) * compartmentLength;
+    ctx.strokeStyle = '#ff737d';
+    ctx.lineWidth = 1 + compartment.breach * 2;
+    ctx.beginPath();
+    ctx.moveTo(centerX - compartmentLength * 0.25, -hullHeight * 0.3);
+    ctx.lineTo(centerX + compartmentLength * 0.25, hullHeight * 0.3);
+    ctx.stroke();
+  });
+  traceShipHull(hullLength, hullHeight);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+  ctx.restore();
+  
+  // Flooded count against what she can take, and the extra draft
+  const floodedCount = getFloodedCompartmentCount();
+  ctx.font = 'bold 12px Arial';
+  ctx.fillStyle = floodedCount >= damageConfig.maxFloodedCompartments ? '#ff737d' : '#ffffff';
+  ctx.fillText(
+    `Flooded: ${floodedCount} / ${damageConfig.maxFloodedCompartments}`,
+    panelX + 10,
+    panelY + panelHeight - 24
+  );
+  ctx.fillStyle = '#ffffff';
+  ctx.textAlign = 'right';
+  ctx.fillText(`Draft: +${getFloodDraft().toFixed(1)} m`, panelX + panelWidth - 10, panelY + panelHeight - 24);
+  
+  ctx.restore();
+}
+
+// Main menu layout, in menu units (the whole menu scales down to fit)
+const menuConfig = {
+  cardWidth: 160,
+  cardHeight: 112,
+  cardGap: 12,
+  cardsPerRow: 3,
+  headingHeight: 30,
+  statsWidth: 300,
+  columnGap: 30,
+  titleHeight: 90,
+  footerHeight: 110
+};
+
+// Stats card rows for a ship type, read from its physics block. Speeds use
+// the HUD conversion (1 unit = 10 knots); turn rate is the heading change
+// at full speed with the rudder hard over. Rows flagged lowerIsBetter are
+// times, where the smallest value is the best.
+function getShipStats(physics) {
+  const stepsPerSecond = 1000 / simulationConfig.stepMs;
+  const stats = [
+    { label: 'Max speed', value: physics.maxSpeed * 10, unit: 'kn' },
+    { label: 'Reverse speed', value: physics.maxReverseSpeed * 10, unit: 'kn' },
+    {
+      label: 'Turn rate',
+      value: physics.maxRudderAngle * physics.turnRate * stepsPerSecond * 180 / Math.PI,
+      unit: '°/s'
+    }
+  ];
+  if (physics.maxSubmergedSpeed) {
+    stats.push({ label: 'Submerged speed', value: physics.maxSubmergedSpeed * 10, unit: 'kn' });
+  }
+  if (physics.propulsion === 'twin') {
+    stats.push({
+      label: 'Twin-screw pivot',
+      value: physics.maxRudderAngle * physics.turnRate * propulsionConfig.twinScrewTurning * stepsPerSecond * 180 / Math.PI,
+      unit: '°/s'
+    });
+  }
+  stats.push({
+    label: 'Ahead to astern',
+    value: (2 / physics.spoolRate + physics.reversingDelay) / stepsPerSecond,
+    unit: 's',
+    lowerIsBetter: true
+  });
+  if (physics.bowThrusterRate) {
+    stats.push({ label: 'Bow thruster', value: physics.bowThrusterRate * stepsPerSecond * 180 / Math.PI, unit: '°/s' });
+  }
+  return stats;
+}
+
+// Draw a ship type's hull art centered at (x, y), scaled to fit the box
+function drawShipPreview(shipType, category, x, y, maxLength, maxWidth, rotation) {
+  const { visual } = shipType;
+  const scale = Math.min(maxLength / visual.length, maxWidth / visual.width);
+  
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.scale(scale, scale);
+  if (category === 'Submarines') {
+    drawSubmarine(0, 0, visual.length, visual.width, visual.conningTowerSize, rotation, 0, visual.style);
+  } else {
+    drawSurfaceShip(
+      0,
+      0,
+      visual.length,
+      visual.width,
+      visual.stackCount,
+      visual.stackRadius,
+      rotation,
+      visual.style
+    );
+  }
+  ctx.restore();
+}
+
+// Draw one selectable ship card with a live preview
+function drawShipCard(entry, index, x, y, selected) {
+  const { cardWidth, cardHeight } = menuConfig;
+  
+  ctx.save();
+  ctx.fillStyle = selected ? '#2a5a8a' : '#1a3a5a';
+  ctx.fillRect(x, y, cardWidth, cardHeight);
+  ctx.strokeStyle = selected ? '#d7b46a' : 'rgba(255, 255, 255, 0.35)';
+  ctx.lineWidth = selected ? 3 : 1;
+  ctx.strokeRect(x, y, cardWidth, cardHeight);
+  
+  // Keep the preview inside the card
+  ctx.beginPath();
+  ctx.rect(x, y, cardWidth, cardHeight);
+  ctx.clip();
+  
+  // Each ship rocks gently on its own phase
+  const sway = Math.sin(animationTime * 0.04 + index * 1.7) * 0.05;
+  drawShipPreview(
+    shipTypes[entry.category][entry.name],
+    entry.category,
+    x + cardWidth / 2,
+    y + cardHeight / 2 - 12,
+    cardWidth - 36,
+    44,
+    sway
+  );
+  
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(entry.name, x + cardWidth / 2, y + cardHeight - 16);
+  ctx.restore();
+}
+
+// Draw the stats card for the selected ship
+function drawShipStatsCard(entry, x, y, width, height) {
+  const shipType = shipTypes[entry.category][entry.name];
+  
+  ctx.save();
+  ctx.fillStyle = 'rgba(10, 25, 40, 0.9)';
+  ctx.fillRect(x, y, width, height);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, width, height);
+  
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 22px Arial';
+  ctx.fillText(entry.name, x + 20, y + 28);
+  ctx.fillStyle = '#b8c7cc';
+  ctx.font = '14px Arial';
+  ctx.fillText(entry.category, x + 20, y + 52);
+  
+  // Larger live preview
+  const sway = Math.sin(animationTime * 0.04) * 0.05;
+  drawShipPreview(shipType, entry.category, x + width / 2, y + 110, width - 60, 70, sway);
+  
+  // Bars compare each stat with the best in the fleet: the highest, or the
+  // lowest for stats where less is better, which fills the bar
+  const fleetBest = {};
+  for (const other of listShipTypes()) {
+    for (const stat of getShipStats(shipTypes[other.category][other.name].physics)) {
+      const best = fleetBest[stat.label];
+      if (best === undefined) {
+        fleetBest[stat.label] = stat.value;
+      } else {
+        fleetBest[stat.label] = stat.lowerIsBetter ? Math.min(best, stat.value) : Math.max(best, stat.value);
+      }
+    }
+  }
+  
+  let rowY = y + 170;
+  for (const stat of getShipStats(shipType.physics)) {
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '16px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(stat.label, x + 20, rowY);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${stat.value.toFixed(1)} ${stat.unit}`, x + width - 20, rowY);
+    
+    const barWidth = width - 40;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillRect(x + 20, rowY + 12, barWidth, 6);
+    ctx.fillStyle = '#d7b46a';
+    const share = stat.lowerIsBetter
+      ? fleetBest[stat.label] / stat.value
+      : stat.value / fleetBest[stat.label];
+    ctx.fillRect(x + 20, rowY + 12, barWidth * share, 6);
+    rowY += 40;
+  }
+  ctx.restore();
+}
+
+// Draw the main menu: ships grouped by category, the selected ship's stats
+// and the Start Voyage button. The world behind it is the next voyage's map.
+function drawMainMenu() {
+  if (gameState !== 'title') return;
+  
+  const {
+    cardWidth, cardHeight, cardGap, cardsPerRow, headingHeight,
+    statsWidth, columnGap, titleHeight, footerHeight
+  } = menuConfig;
+  const shipList = listShipTypes();
+  const categories = Object.keys(shipTypes);
+  
+  // Size the content, then scale it down to fit small screens
+  const gridWidth = cardsPerRow * cardWidth + (cardsPerRow - 1) * cardGap;
+  let gridHeight = 0;
+  for (const category of categories) {
+    const rows = Math.ceil(Object.keys(shipTypes[category]).length / cardsPerRow);
+    gridHeight += headingHeight + rows * (cardHeight + cardGap);
+  }
+  const statsHeight = Math.max(gridHeight - cardGap, 330);
+  const contentWidth = gridWidth + columnGap + statsWidth;
+  const contentHeight = titleHeight + Math.max(gridHeight, statsHeight) + footerHeight;
+  const scale = Math.min(1, (view.width - 40) / contentWidth, (view.height - 40) / contentHeight);
+  const originX = (view.width - contentWidth * scale) / 2;
+  const originY = (view.height - contentHeight * scale) / 2;
+  
+  // Hit areas are stored in screen space for the click handler
+  const toScreenRect = (x, y, width, height) => ({
+    x: originX + x * scale,
+    y: originY + y * scale,
+    width: width * scale,
+    height: height * scale
+  });
+  
+  // Semi-transparent overlay
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+  ctx.fillRect(0, 0, view.width, view.height);
+  
+  ctx.save();
+  ctx.translate(originX, originY);
+  ctx.scale(scale, scale);
+  
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 56px Arial';
+  ctx.fillText('TITANIC', contentWidth / 2, 34);
+  ctx.fillStyle = '#b8c7cc';
+  ctx.font = '18px Arial';
+  ctx.fillText('Choose your ship and steer through the ice to the arrival port', contentWidth / 2, 72);
+  
+  // Ship cards, grouped under a heading per category
+  const shipCards = [];
+  let rowY = titleHeight;
+  for (const category of categories) {
+    ctx.fillStyle = '#d7b46a';
+    ctx.font = 'bold 18px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(category, 0, rowY + headingHeight / 2);
+    rowY += headingHeight;
+    
+    const entries = shipList.filter(entry => entry.category === category);
+    entries.forEach((entry, i) => {
+      const index = shipList.indexOf(entry);
+      const cardX = (i % cardsPerRow) * (cardWidth + cardGap);
+      const cardY = rowY + Math.floor(i / cardsPerRow) * (cardHeight + cardGap);
+      drawShipCard(entry, index, cardX, cardY, index === ui.menu.selectedIndex);
+      shipCards.push({ index, ...toScreenRect(cardX, cardY, cardWidth, cardHeight) });
+    });
+    rowY += Math.ceil(entries.length / cardsPerRow) * (cardHeight + cardGap);
+  }
+  
+  const selected = shipList[ui.menu.selectedIndex] || shipList[0];
+  drawShipStatsCard(selected, gridWidth + columnGap, titleHeight, statsWidth, statsHeight);
+  
+  // Start Voyage button
+  const buttonWidth = 240;
+  const buttonHeight = 50;
+  const buttonX = (contentWidth - buttonWidth) / 2;
+  const buttonY = contentHeight - footerHeight + 20;
+  ctx.fillStyle = '#4a90e2';
+  ctx.fillRect(buttonX, buttonY, buttonWidth, buttonHeight);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(buttonX, buttonY, buttonWidth, buttonHeight);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = '24px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText('Start Voyage', contentWidth / 2, buttonY + buttonHeight / 2);
+  
+  ctx.fillStyle = '#b8c7cc';
+  ctx.font = '14px Arial';
+  ctx.fillText(
+    'Arrows: choose ship   Enter: start   At sea: Esc/P pause, +/- zoom, Q quality, H hangar',
+    contentWidth / 2,
+    contentHeight - 16
+  );
+  
+  ctx.restore();
+  
+  ui.menu.shipCards = shipCards;
+  ui.menu.startButton = toScreenRect(buttonX, buttonY, buttonWidth, buttonHeight);
+}
+
+// Submerged view: darkness everywhere except the periscope cone, which
+// fades out towards its range. Below periscope depth nothing is visible.
+function drawPeriscopeView() {
+  const viewMode = getViewMode();
+  if (viewMode === 'surface') return;
+  
+  const centerX = view.width / 2;
+  const centerY = view.height / 2;
+  
+  ctx.save();
+  ctx.fillStyle = '#03121a';
+  
+  if (viewMode === 'blind') {
+    ctx.fillRect(0, 0, view.width, view.height);
+    ctx.restore();
+    return;
+  }
+  
+  const bearing = renderCamera.shipRotation + ship.periscopeBearing;
+  const range = sightConfig.periscopeRange * renderCamera.zoom;
+  const halfAngle = sightConfig.periscopeHalfAngle;
+  const traceCone = () => {
+    ctx.moveTo(centerX, centerY);
+    ctx.arc(centerX, centerY, range, bearing - halfAngle, bearing + halfAngle);
+    ctx.closePath();
+  };
+  
+  // Everything outside the cone
+  ctx.beginPath();
+  ctx.rect(0, 0, view.width, view.height);
+  traceCone();
+  ctx.fill('evenodd');
+  
+  // Vignette: the view dims towards the end of its range and its edges
+  const vignette = ctx.createRadialGradient(centerX, centerY, range * 0.3, centerX, centerY, range);
+  vignette.addColorStop(0, 'rgba(3, 18, 26, 0)');
+  vignette.addColorStop(1, 'rgba(3, 18, 26, 0.92)');
+  ctx.beginPath();
+  traceCone();
+  ctx.fillStyle = vignette;
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(3, 18, 26, 0.6)';
+  ctx.lineWidth = 16;
+  ctx.stroke();
+  
+  // Bearing line with range marks every quarter of the range
+  ctx.strokeStyle = 'rgba(200, 230, 235, 0.35)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([6, 10]);
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY);
+  ctx.lineTo(centerX + Math.cos(bearing) * range, centerY + Math.sin(bearing) * range);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  for (let mark = 1; mark <= 3; mark++) {
+    const markX = centerX + Math.cos(bearing) * range * mark / 4;
+    const markY = centerY + Math.sin(bearing) * range * mark / 4;
+    const tickX = -Math.sin(bearing) * 8;
+    const tickY = Math.cos(bearing) * 8;
+    ctx.beginPath();
+    ctx.moveTo(markX - tickX, markY - tickY);
+    ctx.lineTo(markX + tickX, markY + tickY);
+    ctx.stroke();
+  }
+  
+  // Bearing readout relative to the bow
+  const bearingDegrees = Math.round((ship.periscopeBearing * 180 / Math.PI + 360) % 360);
+  ctx.fillStyle = '#c8e6eb';
+  ctx.font = 'bold 14px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(
+    `PERISCOPE ${bearingDegrees.toString().padStart(3, '0')}°   Z/X: turn`,
+    centerX,
+    view.height - 90
+  );
+  ctx.restore();
+}
+
+// Sonar ring and the echoes it brought back, drawn over the periscope
+// darkness so they work as the boat's eyes below periscope depth
+function drawSonar() {
+  ctx.save();
+  
+  // Echoes fade out over their lifetime
+  for (const echo of sonarEchoes.values()) {
+    const screenX = worldToScreenX(echo.x);
+    const screenY = worldToScreenY(echo.y);
+    if (!isOnScreen(screenX, screenY, echo.size || 20)) continue;
+    
+    const fade = Math.max(0, 1 - (voyageSteps - echo.step) / sonarConfig.echoDurationSteps);
+    ctx.beginPath();
+    if (echo.type === 'kraken') {
+      ctx.fillStyle = `rgba(255, 90, 100, ${fade})`;
+      ctx.arc(screenX, screenY, 7, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.strokeStyle = `rgba(125, 255, 176, ${fade})`;
+      ctx.lineWidth = echo.type === 'wreck' ? 1 : 2;
+      ctx.setLineDash(echo.type === 'wreck' ? [4, 4] : []);
+      ctx.arc(screenX, screenY, echo.size * renderCamera.zoom, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+  ctx.setLineDash([]);
+  
+  // The ring thins out as it spreads
+  if (sonarPing) {
+    const spread = sonarPing.radius / sonarConfig.range;
+    ctx.strokeStyle = `rgba(125, 255, 176, ${0.8 * (1 - spread)})`;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(
+      worldToScreenX(sonarPing.x),
+      worldToScreenY(sonarPing.y),
+      sonarPing.radius * renderCamera.zoom,
+      0,
+      Math.PI * 2
+    );
+    ctx.stroke();
+  }
+  
+  ctx.restore();
+}
+
+// Hint shown while the ship lies at the start port, where the hangar is
+function drawDockHint() {
+  if (gameState !== 'playing' || !isDockedAtStartPort()) return;
+  
+  ctx.save();
+  ctx.font = '16px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const text = 'Docked at the departure port - press H for the hangar';
+  const textWidth = ctx.measureText(text).width;
+  // Above the taller panel of the bottom HUD row (damage control on the
+  // left, the telegraph on the right), so they never meet on narrow windows
+  const hintHeight = 32;
+  const rowHeight = Math.max(bottomHudConfig.damageControlHeight, getTelegraphHeight());
+  const hintY = view.height - bottomHudConfig.margin - rowHeight - bottomHudConfig.gap - hintHeight;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(view.width / 2 - textWidth / 2 - 14, hintY, textWidth + 28, hintHeight);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(text, view.width / 2, hintY + hintHeight / 2);
+  ctx.restore();
+}
+
+// Draw the hangar confirmation. Changing ships abandons the voyage, which
+// restarts on the same map once the new ship is chosen.
+function drawHangarConfirm() {
+  if (gameState !== 'hangar') return;
+  
+  // Semi-transparent overlay
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(0, 0, view.width, view.height);
+  
+  ctx.save();
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 36px Arial';
+  ctx.fillText('Return to the hangar?', view.width / 2, view.height / 2 - 70);
+  ctx.fillStyle = '#b8c7cc';
+  ctx.font = '18px Arial';
+  ctx.fillText('Changing ships restarts the voyage on this map.', view.width / 2, view.height / 2 - 25);
+  
+  // Confirm and cancel buttons
+  const buttonWidth = 200;
+  const buttonHeight = 50;
+  const buttonY = view.height / 2 + 20;
+  const buttons = {
+    confirm: { x: view.width / 2 - buttonWidth - 10, y: buttonY, width: buttonWidth, height: buttonHeight },
+    cancel: { x: view.width / 2 + 10, y: buttonY, width: buttonWidth, height: buttonHeight }
+  };
+  const labels = { confirm: 'Change Ship (Y)', cancel: 'Keep Sailing (N)' };
+  
+  for (const [key, button] of Object.entries(buttons)) {
+    ctx.fillStyle = key === 'confirm' ? '#4a90e2' : '#3a4a5a';
+    ctx.fillRect(button.x, button.y, button.width, button.height);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(button.x, button.y, button.width, button.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '20px Arial';
+    ctx.fillText(labels[key], button.x + button.width / 2, button.y + button.height / 2);
+  }
+  ctx.restore();
+  
+  ui.hangarButtons = buttons;
+}
+
+// Draw pause overlay
+function drawPauseScreen() {
+  if (gameState !== 'paused') return;
+  
+  // Semi-transparent overlay
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(0, 0, view.width, view.height);
+  
+  ctx.save();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 48px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('PAUSED', view.width / 2, view.height / 2 - 20);
+  
+  ctx.fillStyle = '#b8c7cc';
+  ctx.font = '20px Arial';
+  ctx.fillText('Press Esc or P, or click, to resume', view.width / 2, view.height / 2 + 30);
+  ctx.restore();
+}
+
+// Show a short message at the top of the screen, e.g. after a settings change
+export function showNotice(text, duration = 2000) {
+  ui.notice = { text, expiresAt: performance.now() + duration };
+}
+
+function drawNotice() {
+  if (!ui.notice) return;
+  const remaining = ui.notice.expiresAt - performance.now();
+  if (remaining <= 0) {
+    ui.notice = null;
+    return;
+  }
+
+  ctx.save();
+  ctx.globalAlpha = Math.min(1, remaining / 400); // Fade out at the end
+  ctx.font = 'bold 16px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const textWidth = ctx.measureText(ui.notice.text).width;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(view.width / 2 - textWidth / 2 - 14, 20, textWidth + 28, 32);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(ui.notice.text, view.width / 2, 36);
+  ctx.restore();
+}
+
+// Draw one frame of the current simulation state. alpha (0-1) is how far the
+// frame lies between the previous simulation step and the current one, and
+// frameTime is the wall-clock time since the last frame in milliseconds.
+export function render(alpha = 1, frameTime = 1000 / 60) {
+  // Update animation time (0.5 per 60 Hz frame at any refresh rate)
+  animationTime += frameTime * 0.03;
+
+  // Draw in logical pixels regardless of the backing store resolution
+  resetTransform();
+
+  interpolationAlpha = alpha;
+  renderCamera.x = lerp(previousState.cameraX, camera.x, alpha);
+  renderCamera.y = lerp(previousState.cameraY, camera.y, alpha);
+  renderCamera.zoom = camera.zoom;
+  renderCamera.shipRotation = lerpAngle(previousState.shipRotation, ship.rotation, alpha);
+
+  // Draw layered ocean color and animated surface detail.
+  drawOcean();
+
+  // Draw waves
+  drawWaves();
+
+  // Draw the ship wake below world obstacles and the vessel itself.
+  drawShipWake();
+  drawPropulsionWash();
+
+  // Draw icebergs
+  drawIcebergs();
+
+  // Draw remembered wrecks as persistent world obstacles.
+  drawShipwrecks();
+
+  // Draw offshore refueling platforms.
+  drawFuelRigs();
+
+  // Draw any krakens currently swimming through the visible water.
+  drawKrakens();
+
+  // Lighter water over the shallows around both islands
+  drawShallows();
+
+  // Draw start port
+  drawStartPort();
+
+  // Draw goal
+  drawGoal();
+
+  // Limit the view to the periscope cone when submerged
+  drawPeriscopeView();
+  drawSonar();
+
+  // Draw ship
+  drawShip();
+  
+  // Draw UI overlay
+  drawUI();
+  drawDepthGauge();
+  drawDamageControl();
+  drawTelegraph();
+  drawWindRose();
+  
+  // Draw minimap
+  drawMinimap();
+  
+  // Draw win screen if won
+  drawWinScreen();
+  
+  // Draw game over overlay if game is over
+  drawGameOver();
+
+  drawDockHint();
+  drawHangarConfirm();
+  drawPauseScreen();
+  drawMainMenu();
+
+  drawNotice();
+}
@@ -0,0 +1,49 @@
+// Player settings that persist between visits (browser front end only).
+
+const storageKey = 'titanic-game-settings';
+
+// Render quality presets. Each caps the device pixel ratio used for the
+// canvas backing store, trading sharpness on HiDPI screens for speed.
+export const qualityPresets = {
+  high: { label: 'High', maxPixelRatio: 3 },
+  medium: { label: 'Medium', maxPixelRatio: 1.5 },
+  low: { label: 'Low', maxPixelRatio: 1 }
+};
+
+export const settings = {
+  quality: 'high'
+};
+
+export function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey) || '{}');
+    if (qualityPresets[saved.quality]) {
+      settings.quality = saved.quality;
+    }
+  } catch (error) {
+    // Private browsing or corrupt data: keep the defaults
+    console.warn('Could not load settings, using defaults', error);
+  }
+}
+
+export function saveSettings() {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not save settings', error);
+  }
+}
+
+// Step to the next quality preset (high -> medium -> low -> high)
+export function cycleQuality() {
+  const names = Object.keys(qualityPresets);
+  const nextIndex = (names.indexOf(settings.quality) + 1) % names.length;
+  settings.quality = names[nextIndex];
+  saveSettings();
+  return qualityPresets[settings.quality];
+}
+
+// Pixel ratio to render at on this display under the current quality
+export function getRenderPixelRatio(devicePixelRatio = 1) {
+  return Math.min(devicePixelRatio || 1, qualityPresets[settings.quality].maxPixelRatio);
+}
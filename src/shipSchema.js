@@ -0,0 +1,169 @@
+// Schema for ship type definitions (one JSON file per ship in src/ships).
+// Every field lists its type and limits. Optional fields fall back to their
+// default; fields tied to a category are required there and rejected on
+// other ships. Unknown fields are errors, so a typo never goes unnoticed.
+
+const shipCategories = ['Steamers', 'Submarines'];
+const hullProfiles = ['classic', 'streamlined', 'modern', 'cruise'];
+const propulsionLayouts = ['single', 'twin'];
+
+const styleFields = {
+  hullProfile: { type: 'string', values: hullProfiles, optional: true },
+  hullColor: { type: 'color', optional: true },
+  deckColor: { type: 'color', optional: true },
+  accentColor: { type: 'color', optional: true },
+  funnelColor: { type: 'color', optional: true },
+  funnelOffset: { type: 'number', min: -0.5, max: 0.5, optional: true }, // Fraction of length
+  funnelBand: { type: 'boolean', optional: true },
+  funnelBandColor: { type: 'color', optional: true },
+  hospitalShip: { type: 'boolean', optional: true },
+  hospitalBandColor: { type: 'color', optional: true },
+  hospitalCrossColor: { type: 'color', optional: true },
+  superstructureColor: { type: 'color', optional: true },
+  superstructureLength: { type: 'number', min: 0, max: 1, optional: true }, // Fraction of length
+  superstructureWidth: { type: 'number', min: 0, max: 1, optional: true }, // Fraction of width
+  lifeboatCount: { type: 'integer', min: 0, optional: true },
+  poolDeck: { type: 'boolean', optional: true },
+  radarDomes: { type: 'boolean', optional: true }
+};
+
+export const shipSchema = {
+  name: { type: 'string' },
+  category: { type: 'string', values: shipCategories },
+  order: { type: 'integer', min: 0, optional: true }, // Menu position; ships without one follow, by file name
+  visual: {
+    type: 'object',
+    fields: {
+      length: { type: 'number', positive: true }, // World units
+      width: { type: 'number', positive: true },
+      stackCount: { type: 'integer', min: 0, category: 'Steamers', default: 0 },
+      stackRadius: { type: 'number', min: 0, category: 'Steamers', default: 0 },
+      conningTowerSize: { type: 'number', positive: true, category: 'Submarines', default: 0 },
+      style: { type: 'object', fields: styleFields, optional: true, default: {} }
+    }
+  },
+  physics: {
+    type: 'object',
+    fields: {
+      // Speeds are world units per step (1 unit = 10 knots on the HUD)
+      maxSpeed: { type: 'number', positive: true },
+      maxReverseSpeed: { type: 'number', min: 0 },
+      maxSubmergedSpeed: { type: 'number', positive: true, category: 'Submarines', default: 0 },
+      maxSubmergedReverseSpeed: { type: 'number', min: 0, category: 'Submarines', default: 0 },
+      accelerationPower: { type: 'number', positive: true },
+      spoolRate: { type: 'number', positive: true, max: 1, optional: true, default: 0.005 }, // Share of full RPM per step
+      reversingDelay: { type: 'integer', min: 0, optional: true, default: 300 }, // Steps stopped before running the other way
+      friction: { type: 'number', min: 0 },
+      maxRudderAngleDegrees: { type: 'number', positive: true, max: 90 },
+      rudderSpeed: { type: 'number', positive: true }, // Radians per step
+      turnRate: { type: 'number', positive: true },
+      pivotPoint: { type: 'number', min: 0, max: 1 }, // 0 = bow, 1 = stern
+      lateralDrag: { type: 'number', positive: true, max: 1, optional: true, default: 0.06 }, // Share of drift stopped per step
+      mass: { type: 'number', positive: true, optional: true, default: 1 }, // Relative to the 4-Stack Steamer
+      propulsion: { type: 'string', values: propulsionLayouts, optional: true, default: 'single' },
+      bowThrusterRate: { type: 'number', min: 0, optional: true, default: 0 } // Radians per step when stopped; 0 = none
+    }
+  }
+};
+
+function describeType(spec) {
+  if (spec.type === 'integer') return 'a whole number';
+  if (spec.type === 'color') return 'a color like "#1a2b3c"';
+  if (spec.type === 'object') return 'an object';
+  return `a ${spec.type}`;
+}
+
+function checkValue(value, spec) {
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') return describeType(spec);
+      break;
+    case 'color':
+      if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) return describeType(spec);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return describeType(spec);
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return describeType(spec);
+      if (spec.type === 'integer' && !Number.isInteger(value)) return describeType(spec);
+      if (spec.positive && value <= 0) return 'greater than 0';
+      if (spec.min !== undefined && value < spec.min) return `at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `at most ${spec.max}`;
+      break;
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return describeType(spec);
+      break;
+  }
+  if (spec.values && !spec.values.includes(value)) {
+    return `one of ${spec.values.map(allowed => `"${allowed}"`).join(', ')}`;
+  }
+  return null;
+}
+
+// Check an object against a set of field specs. Appends a message for every
+// problem and returns a copy with defaults filled in.
+function checkFields(object, fields, path, category, errors) {
+  const result = {};
+
+  for (const key of Object.keys(object)) {
+    if (!fields[key]) errors.push(`unknown field ${path}${key}`);
+  }
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const fieldPath = `${path}${key}`;
+    const value = object[key];
+    const belongsHere = !spec.category || spec.category === category;
+
+    if (value === undefined) {
+      if (belongsHere && !spec.optional) {
+        errors.push(`${fieldPath} is missing`);
+      } else if (spec.default !== undefined) {
+        result[key] = spec.default;
+      }
+      continue;
+    }
+
+    if (!belongsHere) {
+      errors.push(`${fieldPath} only applies to ${spec.category}`);
+      continue;
+    }
+
+    const expected = checkValue(value, spec);
+    if (expected) {
+      errors.push(`${fieldPath} must be ${expected} (got ${JSON.stringify(value)})`);
+      continue;
+    }
+
+    result[key] = spec.type === 'object'
+      ? checkFields(value, spec.fields, `${fieldPath}.`, category, errors)
+      : value;
+  }
+
+  return result;
+}
+
+// Validate one ship definition. Returns the ship type in the form the
+// simulation uses ({ name, category, visual, physics }), or null, plus error
+// messages that name the ship, the file and the field.
+export function validateShipType(definition, source = 'ship definition') {
+  const problems = [];
+  let shipType = null;
+
+  if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+    problems.push('must be an object');
+  } else {
+    const category = shipCategories.includes(definition.category) ? definition.category : null;
+    shipType = checkFields(definition, shipSchema, '', category, problems);
+  }
+
+  const shipName = typeof definition?.name === 'string' ? definition.name : 'unnamed';
+  const errors = problems.map(problem => `Ship "${shipName}" (${source}): ${problem}`);
+  if (errors.length > 0) return { shipType: null, errors };
+
+  // The simulation works in radians
+  const { maxRudderAngleDegrees, ...physics } = shipType.physics;
+  physics.maxRudderAngle = maxRudderAngleDegrees * Math.PI / 180;
+  return { shipType: { ...shipType, physics }, errors };
+}
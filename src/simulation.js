@@ -0,0 +1,1872 @@
+// Headless simulation core. This module owns the world state and steps it
+// without touching the canvas, the DOM, or window, so voyages can also be run
+// under Node. Renderers and front ends only read the exported state.
+
+import { createChunkManager } from './chunkManager.js';
+import { flattenOutline, getHullOutline } from './hullOutlines.js';
+import { getOverlapCenter, getPolygonRadius, transformPoints } from './polygons.js';
+import { createRandom, hashSeed, randomSeed } from './random.js';
+import { validateShipType } from './shipSchema.js';
+import { createSpatialHash } from './spatialHash.js';
+
+// Game flow. The game is always in exactly one of these states, and only
+// the listed transitions are allowed:
+//   title   - title screen, world generated but not running
+//   playing - the voyage is under way (the only state that steps the world)
+//   paused  - frozen by the player or because the window lost focus
+//   mapView - frozen while the expanded map is open
+//   hangar  - frozen while asking to confirm a ship change at the start port
+//   won     - goal port reached
+//   lost    - wrecked (see gameOverReason)
+const gameStateTransitions = {
+  title: ['playing'],
+  playing: ['paused', 'mapView', 'hangar', 'won', 'lost'],
+  paused: ['playing'],
+  hangar: ['playing', 'title'],
+  mapView: ['playing', 'paused'],
+  won: ['playing'],
+  lost: ['playing']
+};
+
+export let gameState = 'title';
+export let gameOverReason = 'sunk'; // 'sunk', 'kraken' or 'grounded'
+export let totalDistance = 0; // Total distance sailed in world units
+let lastShipX = 0;
+let lastShipY = 0;
+export let voyageSteps = 0; // Steps played this voyage; excludes paused time
+export let voyageResult = null; // Outcome of the last finished voyage (see finishVoyage)
+
+// Fixed-step timing. The world always advances in steps of the same length,
+// so physics, fuel use and AI behave the same at any display refresh rate.
+// Per-step tuning values throughout this file assume 60 steps per second.
+export const simulationConfig = {
+  stepMs: 1000 / 60, // Length of one simulation step in milliseconds
+  maxStepsPerFrame: 5 // Drop time beyond this after a stall instead of fast-forwarding
+};
+
+// Move to another game state. Returns false (and stays put) if the
+// transition isn't allowed from the current state.
+export function setGameState(nextState) {
+  if (!gameStateTransitions[gameState].includes(nextState)) return false;
+  gameState = nextState;
+  return true;
+}
+
+// Voyage time in seconds, counted in simulation steps so pauses and the map
+// view don't count against the player
+export function getVoyageTime() {
+  return voyageSteps * simulationConfig.stepMs / 1000;
+}
+
+// End the voyage and record how it went. The ship is part of the result
+// because it is locked in for the whole voyage.
+function finishVoyage(outcome) {
+  setGameState(outcome);
+  voyageResult = {
+    outcome,
+    reason: outcome === 'lost' ? gameOverReason : null,
+    shipType: { ...currentShipType },
+    time: getVoyageTime(),
+    distance: totalDistance,
+    seed: worldSeed
+  };
+}
+
+// End the voyage in a wreck
+function loseVoyage(reason) {
+  gameOverReason = reason;
+  finishVoyage('lost');
+}
+
+// Coal system
+export const coalConfig = {
+  maxCoal: 100, // Maximum coal (100%)
+  depletionRate: 0.01 // Base depletion rate per step (multiplied by speed)
+};
+
+export let currentCoal = coalConfig.maxCoal; // Current coal level (0-100)
+
+// Boilers (steamers only). Every funnel stands for a boiler room. The
+// stoking rate sets the pressure the boilers hold, which sets the power the
+// engines can make: pressure past the red line drives the ship beyond her
+// rated speed but may burst a boiler room, which is out until relit. Harder
+// stoking also burns coal faster than it adds speed, and fires burn coal
+// even when the engines are stopped, so they should be banked in port.
+// Pressures are shares of the working pressure.
+export const boilerConfig = {
+  stokingLevels: [
+    { label: 'Banked', pressure: 0.3, coal: 0.1 },
+    { label: 'Easy', pressure: 0.75, coal: 0.5 },
+    { label: 'Normal', pressure: 1, coal: 0.9 },
+    { label: 'Forced', pressure: 1.15, coal: 1.6 }
+  ],
+  startLevel: 2, // Normal
+  idleRise: 0.08, // Extra pressure when the engines draw no steam
+  responseRate: 0.004, // Share of the gap to the held pressure closed per step
+  redLine: 1.1, // Above this a boiler room may burst
+  burstChance: 0.01, // Chance per step of a burst, per unit of pressure past the red line
+  burstPressureLoss: 0.2, // Pressure lost with the burst boiler room's steam
+  relightSteps: 1200, // A burst boiler room is out for this long
+  workingPsi: 215 // Working pressure, for the gauge
+};
+
+export let boilerPressure = 1; // Current pressure (share of working pressure)
+export let stokingLevel = boilerConfig.startLevel; // Index into boilerConfig.stokingLevels
+export let boilerRooms = []; // Per boiler room: steps until it is relit (0 = firing)
+
+// How the ship bounces off ice and wrecks (see strikeHull)
+export const collisionConfig = {
+  restitution: 0.2, // Share of the speed into the obstacle that bounces back
+  friction: 0.15, // Share of the speed along the obstacle lost to the scrape
+  separation: 2, // World units the ship is pushed clear along the contact normal
+  rotationKick: 0.03, // Heading change per unit of off-centre impulse
+  maxRotationKick: 0.12 // Radians
+};
+
+// Watertight compartments, numbered from the bow. Striking ice or a wreck
+// breaches the compartment at the point of impact and, at speed, the ones
+// aft of it as the hull scrapes along. Breached compartments flood, the
+// ship settles lower and slower, and she sinks once more than
+// maxFloodedCompartments are full.
+export const damageConfig = {
+  compartmentCount: 10,
+  maxFloodedCompartments: 4, // Stays afloat with this many flooded
+  minBreachSpeed: 0.4, // Slower blows (speed into the obstacle) only bump the hull
+  fullBreachSpeed: 3, // Speed into the obstacle that tears a compartment fully open
+  scrapeLengthPerSpeed: 25, // Hull opened past the impact per unit of speed along the obstacle
+  floodRate: 0.0015, // Water per step through a fully open breach (1 = full)
+  pumpRate: 0.0002, // Water the pumps clear from each compartment per step
+  maxSpeedLoss: 0.6, // Fraction of top speed lost on the brink of sinking
+  draftPerCompartment: 1.2 // Metres the ship settles per flooded compartment
+};
+
+// Battery and air for submerged running (submarines only). Both drain
+// while dived and recharge only on the surface; running flat forces the
+// boat up, so diving can't be held forever to slip under the ice.
+export const batteryConfig = {
+  maxCharge: 100, // Full battery and fresh air (100%)
+  drainRate: 0.02, // Drain per step while dived, even at rest (air)
+  speedDrainRate: 0.04, // Extra drain per step at full submerged speed
+  rechargeRate: 0.05, // Recharge per step on the surface
+  minChargeToDive: 20, // Charge needed before the boat can dive again
+  lowCharge: 25 // Warn the player below this
+};
+
+export let batteryCharge = batteryConfig.maxCharge; // Current charge (0-100)
+export let forcedToSurface = false; // True after the battery ran flat, until recharged enough to dive
+
+// Wind. Each voyage has a prevailing wind, drawn from the world seed, that
+// veers and rises and falls over the voyage as a function of the step
+// count, so a seed always replays the same weather. It pushes surfaced
+// ships sideways, the more the longer their superstructure and the lighter
+// the hull.
+export const windConfig = {
+  minStrength: 0.15, // Calmest and strongest wind, as shares of a full gale
+  maxStrength: 1,
+  galeSpeed: 4, // Wind speed of a full gale in world units per step (40 knots)
+  veerRange: 0.8, // Radians the wind swings either side of the prevailing direction
+  veerPeriodSteps: 9000, // Slowest swing of the direction
+  gustPeriodSteps: 5400, // Slowest rise and fall of the strength
+  push: 0.01, // Sideways push per step in a full gale on the reference windage
+  referenceWindage: 116 // Superstructure length of the 4-Stack Steamer (world units)
+};
+
+// The wind now: the direction it blows towards (radians) and its strength
+// as a share of a full gale
+export const wind = { direction: 0, strength: 0 };
+let windPattern = { direction: 0, phases: [0, 0, 0, 0] }; // Seeded in resetWorld
+
+// World seed: every port, rig, kraken and iceberg is derived from it
+export let worldSeed = 0;
+let worldRandom = createRandom(worldSeed);
+
+// Input state
+export const keys = {
+  ArrowLeft: false,
+  ArrowRight: false,
+  z: false, // Rotate the periscope left
+  x: false, // Rotate the periscope right
+  a: false, // Bow thruster to port
+  d: false // Bow thruster to starboard
+};
+
+// Ship types by category, then name: { Steamers: { '4-Stack Steamer': { visual, physics } } }.
+// Filled from validated definitions by loadShipTypes (see src/ships).
+export const shipTypes = {};
+
+// Current ship type (format: { category: 'Steamers', name: '4-Stack Steamer' })
+export let currentShipType = { category: 'Steamers', name: '4-Stack Steamer' };
+
+// Ship physics configuration (will be set from shipTypes)
+export const shipConfig = {
+  maxSpeed: 3.5,
+  maxReverseSpeed: 0.8,
+  maxSubmergedSpeed: 0, // For submarines when submerged
+  maxSubmergedReverseSpeed: 0, // For submarines when submerged
+  accelerationPower: 0.03,
+  spoolRate: 0.005, // Share of full RPM the engines gain or lose per step
+  reversingDelay: 300, // Steps an engine stands stopped before it can run the other way
+  friction: 0.02,
+  maxRudderAngle: Math.PI / 6,
+  rudderSpeed: 0.03,
+  turnRate: 0.02,
+  pivotPoint: 0.7,
+  lateralDrag: 0.06, // Share of the sideways drift the water stops each step
+  mass: 1, // Relative to the 4-Stack Steamer; heavier hulls drift longer and shrug off blows
+  propulsion: 'single', // 'single' screw, or 'twin' with port and starboard engines
+  bowThrusterRate: 0 // Radians per step the bow thruster turns the ship when stopped; 0 = none
+};
+
+// Propulsion layouts. Every engine adds its share of the thrust; on a twin-
+// screw ship, running the engines differently also turns the hull, even
+// from a standstill (one ahead and one astern pivots her on the spot).
+export const propulsionConfig = {
+  layouts: {
+    single: ['center'],
+    twin: ['port', 'starboard']
+  },
+  twinScrewTurning: 0.2, // Turn from full differential thrust, as a share of full rudder at speed
+  thrusterFadeSpeed: 1 // Bow thrusters lose all grip on the water by this speed
+};
+
+// Engine telegraph orders, astern to ahead. The bridge rings an order and
+// the engine room runs the engine towards its share of full RPM.
+export const telegraphOrders = [
+  { label: 'Full Astern', power: -1 },
+  { label: 'Half Astern', power: -0.6 },
+  { label: 'Slow Astern', power: -0.35 },
+  { label: 'Dead Slow Astern', power: -0.15 },
+  { label: 'Stop', power: 0 },
+  { label: 'Dead Slow Ahead', power: 0.15 },
+  { label: 'Slow Ahead', power: 0.35 },
+  { label: 'Half Ahead', power: 0.6 },
+  { label: 'Full Ahead', power: 1 }
+];
+const stopOrder = telegraphOrders.findIndex(order => order.power === 0);
+
+// Icebergs configuration
+export const icebergsConfig = {
+  density: 0.06, // Icebergs per square nautical mile of open water (adjust for more/fewer icebergs)
+  minSize: 30,
+  maxSize: 80,
+  minPoints: 6, // Minimum points for irregular shape
+  maxPoints: 12, // Maximum points for irregular shape
+  irregularity: 0.28, // How irregular the floe edge is
+  minKeelDepth: 20, // Metres of ice below the waterline on the smallest iceberg
+  maxKeelDepth: 130, // ...and on the biggest; keels scale with size in between
+  color: '#edf7f7',
+  strokeColor: '#c4e4e9',
+  preloadChunks: 1, // Extra ring of chunks kept loaded around the view
+  maxLoadedChunks: 120 // Memory budget: least recently used chunks beyond this are unloaded
+};
+
+// World boundaries
+export const worldConfig = {
+  width: 10000, // World width in pixels
+  height: 10000, // World height in pixels
+  iceBarrierWidth: 100, // Width of ice barrier at edges
+  unitsPerNauticalMile: 100 // World units in one nautical mile (1 unit = 0.01 nm)
+};
+
+// Goal configuration
+export const goalConfig = {
+  radius: 250, // Radius of goal area (bigger island)
+  edgeOffset: 300 // Distance from edge to place goal
+};
+
+// Docking at the start port, where the hangar can swap ships. The ship
+// starts each voyage inside the dock radius.
+export const dockConfig = {
+  radius: goalConfig.radius * 2.5,
+  maxSpeed: 0.2 // Must be (nearly) stopped to count as docked
+};
+
+export const fuelRigConfig = {
+  count: 7,
+  refuelRadius: 185,
+  minSpacing: 900,
+  islandClearance: goalConfig.radius * 3,
+  refuelRate: 0.8
+};
+
+export const krakenConfig = {
+  minCount: 2,
+  maxCount: 3,
+  swimSpeed: 0.7,
+  chaseSpeed: 2.8,
+  chaseTurnRate: 0.055,
+  engageDistanceInShipLengths: 3.75,
+  disengageDistanceInShipLengths: 5.5,
+  attackDistance: 86,
+  alertSpeed: 1.8, // Speed when swimming to where a sonar ping came from
+  minSpacing: 1200,
+  islandClearance: goalConfig.radius * 3
+};
+
+// Wreck size range (wrecks scale with the hull that sank)
+export const shipwreckConfig = {
+  minSize: 42,
+  maxSize: 78
+};
+
+// Shallows around the start port and goal islands. The seabed rises from
+// shelfEdgeDepth at shelfRadius to coastDepth at the island's shore, and a
+// submarine deeper than the seabed runs aground. Open ocean has no bottom
+// within a submarine's reach.
+export const seabedConfig = {
+  shelfRadius: goalConfig.radius * 4,
+  coastDepth: 20, // Metres
+  shelfEdgeDepth: 100, // Metres
+  warningClearance: 15 // Warn when the ordered depth comes this close to the seabed
+};
+
+// Goal state
+export let goal = {
+  x: 0,
+  y: 0,
+  generated: false
+};
+
+// Start port state
+export let startPort = {
+  x: 0,
+  y: 0,
+  generated: false
+};
+
+// Submarine depth levels, shallowest first. Every level sets its own limits:
+//   depth           - metres below the surface
+//   speedFactor     - fraction of the ship's maxSubmergedSpeed allowed here
+//   drainFactor     - multiplies the battery drain
+//   view            - what can be seen of the surface (see getViewMode)
+//   krakens, wrecks - whether they can reach the boat at this depth
+// Icebergs and the seabed are checked against the boat's actual depth.
+export const depthLevels = [
+  { name: 'surface', label: 'Surface', depth: 0, speedFactor: 1, drainFactor: 1, view: 'surface', krakens: true, wrecks: true },
+  { name: 'periscope', label: 'Periscope', depth: 12, speedFactor: 0.8, drainFactor: 1, view: 'periscope', krakens: true, wrecks: true },
+  { name: 'cruising', label: 'Cruising', depth: 50, speedFactor: 1, drainFactor: 1, view: 'blind', krakens: false, wrecks: false },
+  { name: 'deep', label: 'Deep', depth: 120, speedFactor: 0.75, drainFactor: 1.4, view: 'blind', krakens: false, wrecks: false }
+];
+
+// How fast a submarine changes depth, in metres per step. Blowing the tanks
+// to come up is quicker than flooding them to go down.
+export const depthConfig = {
+  diveRate: 0.2,
+  surfaceRate: 0.3
+};
+
+// What the player can see. On the surface the lookouts see all around;
+// a submarine at periscope depth only sees a narrow cone it can rotate.
+export const sightConfig = {
+  surfaceRange: 1600,
+  periscopeRange: 1400,
+  periscopeHalfAngle: Math.PI / 10, // 18 degrees either side of the bearing
+  periscopeTurnRate: 0.035 // Radians per step
+};
+
+// Active sonar (submarines, dived only). A ping sends out a ring that grows
+// to `range`; every iceberg, wreck and kraken it passes returns an echo that
+// stays on the minimap for echoDurationSteps. Krakens hear the ping too.
+export const sonarConfig = {
+  range: 1800,
+  ringSpeed: 30, // World units per step
+  cooldownSteps: 600, // Ten seconds between pings
+  echoDurationSteps: 360
+};
+
+export let sonarPing = null; // The ring in flight: { x, y, radius, step }, or null
+export let sonarCooldown = 0; // Steps until the sonar can ping again
+
+// Echoes from the last pings, keyed like sightings, with where the contact
+// was when the ring reached it and the step it returned
+export const sonarEchoes = new Map();
+
+// Contacts the player has sighted (icebergs and krakens), keyed by id, with
+// where and when each was last seen. The minimap plots only these. The log
+// is kept for the whole voyage, even after a contact's chunk unloads: the
+// world holds only a few hundred icebergs, and a reloaded chunk brings back
+// the same ids.
+export const sightings = new Map();
+
+// Camera zoom limits (1 = one world unit per screen pixel)
+export const cameraConfig = {
+  minZoom: 0.5,
+  maxZoom: 2,
+  defaultZoom: 1
+};
+
+// Camera/World state (initialized near start port)
+export const camera = {
+  x: worldConfig.width / 2, // Will be set near start port
+  y: worldConfig.height / 2, // Will be set near start port
+  zoom: cameraConfig.defaultZoom // Screen pixels per world unit
+};
+
+const icebergGridSize = 500; // Generate icebergs in chunks
+
+// Static obstacles are bucketed on the same grid as the iceberg chunks, so
+// collisions, culling, the minimap and generation only visit nearby cells.
+// Icebergs storage (generated on demand)
+export const icebergIndex = createSpatialHash(icebergGridSize);
+// Streams iceberg chunks in and out around the camera. Chunk generation is
+// deterministic, so an unloaded chunk comes back exactly as it was.
+const icebergChunks = createChunkManager({
+  maxChunks: icebergsConfig.maxLoadedChunks,
+  loadChunk: generateIcebergsForChunk,
+  unloadChunk: (chunkX, chunkY) => icebergIndex.deleteCell(chunkX, chunkY)
+});
+// Shipwrecks persist for the lifetime of the page and are intentionally not
+// cleared by resetWorld(). A full reload resets this in-memory history.
+export const shipwrecks = [];
+export const wreckIndex = createSpatialHash(icebergGridSize);
+export const fuelRigs = [];
+const fuelRigIndex = createSpatialHash(icebergGridSize);
+export const krakens = [];
+export let nearFuelRig = false;
+export let isRefueling = false;
+export let krakenChaseActive = false;
+
+// Screen size of the front end's view in pixels. Together with the camera
+// zoom it decides which area around the ship is kept generated. Front ends
+// update this to match their view; headless runs keep the default.
+export const viewport = {
+  width: 1280,
+  height: 720
+};
+
+// Camera position and ship heading as of the previous step. Renderers blend
+// between these and the current values to draw smoothly between steps.
+export const previousState = {
+  cameraX: camera.x,
+  cameraY: camera.y,
+  shipRotation: -Math.PI / 2
+};
+
+// Ship properties (the ship's world position is the camera position)
+export const ship = {
+  rotation: -Math.PI / 2, // Rotation in radians (-90 degrees = pointing up)
+  speed: 0, // Current speed along the heading (positive = forward, negative = reverse)
+  drift: 0, // Current sideways speed (positive = to starboard)
+  acceleration: 0, // Current acceleration (positive = forward, negative = reverse)
+  rudderAngle: 0, // Current rudder angle (-maxRudderAngle to +maxRudderAngle)
+  engines: [], // One per screw (see propulsionConfig and createEngines)
+  thruster: 0, // Bow thruster output: -1 pushes the bow to port, 1 to starboard
+  // Visual properties (will be set from shipTypes)
+  length: 200,
+  width: 60,
+  stackCount: 4,
+  stackRadius: 10,
+  conningTowerSize: 0, // For submarines only
+  category: 'Steamers', // Current ship category
+  name: '4-Stack Steamer',
+  visualStyle: {},
+  hullPoints: [], // Hull outline as a polygon in ship space, for collisions
+  compartments: [], // Bow to stern: { breach, flooding }, both 0..1
+  depth: 0, // Submarines: current depth in metres (0 = surfaced)
+  targetDepthLevel: 0, // Submarines: index into depthLevels the boat is heading for
+  periscopeBearing: 0 // Periscope direction relative to the bow (radians)
+};
+
+// Function to apply a ship type to the ship and shipConfig
+export function applyShipType(shipTypeInfo) {
+  // Handle both old string format (for backwards compatibility) and new object format
+  let category, name;
+  if (typeof shipTypeInfo === 'string') {
+    // Legacy format - search all categories
+    for (const cat of Object.keys(shipTypes)) {
+      if (shipTypes[cat][shipTypeInfo]) {
+        category = cat;
+        name = shipTypeInfo;
+        break;
+      }
+    }
+  } else {
+    category = shipTypeInfo.category;
+    name = shipTypeInfo.name;
+  }
+  
+  if (!category || !shipTypes[category] || !shipTypes[category][name]) {
+    console.warn(`Ship type "${name}" in category "${category}" not found, using default`);
+    return;
+  }
+  
+  const shipType = shipTypes[category][name];
+  
+  // Store category for rendering decisions
+  ship.category = category;
+  ship.name = name;
+  ship.visualStyle = shipType.visual.style;
+  
+  // Apply visual properties to ship
+  ship.length = shipType.visual.length;
+  ship.width = shipType.visual.width;
+  
+  // Apply category-specific visual properties
+  if (category === 'Submarines') {
+    // Submarines use conningTowerSize
+    ship.conningTowerSize = shipType.visual.conningTowerSize;
+    ship.stackCount = 0; // No stacks for submarines
+    ship.stackRadius = 0;
+  } else {
+    // Surface ships use stackCount and stackRadius
+    ship.stackCount = shipType.visual.stackCount;
+    ship.stackRadius = shipType.visual.stackRadius;
+    ship.conningTowerSize = 0;
+  }
+  ship.hullPoints = flattenOutline(
+    getHullOutline(category, ship.length, ship.width, ship.visualStyle.hullProfile)
+  );
+  ship.compartments = Array.from({ length: damageConfig.compartmentCount }, () => ({ breach: 0, flooding: 0 }));
+  
+  // Apply physics properties to shipConfig
+  shipConfig.maxSpeed = shipType.physics.maxSpeed;
+  shipConfig.maxReverseSpeed = shipType.physics.maxReverseSpeed;
+  // Submerged speeds (0 for surface ships)
+  shipConfig.maxSubmergedSpeed = shipType.physics.maxSubmergedSpeed;
+  shipConfig.maxSubmergedReverseSpeed = shipType.physics.maxSubmergedReverseSpeed;
+  shipConfig.accelerationPower = shipType.physics.accelerationPower;
+  shipConfig.spoolRate = shipType.physics.spoolRate;
+  shipConfig.reversingDelay = shipType.physics.reversingDelay;
+  shipConfig.friction = shipType.physics.friction;
+  shipConfig.maxRudderAngle = shipType.physics.maxRudderAngle;
+  shipConfig.rudderSpeed = shipType.physics.rudderSpeed;
+  shipConfig.turnRate = shipType.physics.turnRate;
+  shipConfig.pivotPoint = shipType.physics.pivotPoint;
+  shipConfig.lateralDrag = shipType.physics.lateralDrag;
+  shipConfig.mass = shipType.physics.mass;
+  shipConfig.propulsion = shipType.physics.propulsion;
+  shipConfig.bowThrusterRate = shipType.physics.bowThrusterRate;
+  ship.engines = createEngines();
+  ship.thruster = 0;
+  
+  // Reset depth when switching ships
+  ship.depth = 0;
+  ship.targetDepthLevel = 0;
+}
+
+// Replace the ship types with validated definitions, given as an object of
+// definitions keyed by where they came from (e.g. './ships/poseidon.json').
+// Invalid definitions are skipped and the rest stay playable; the returned
+// messages name the ship, file and field of each problem.
+export function loadShipTypes(definitions) {
+  const errors = [];
+  for (const category of Object.keys(shipTypes)) {
+    delete shipTypes[category];
+  }
+
+  const validShips = [];
+  for (const [source, definition] of Object.entries(definitions)) {
+    const { shipType, errors: shipErrors } = validateShipType(definition, source);
+    if (shipType) {
+      validShips.push({ source, shipType });
+    } else {
+      errors.push(...shipErrors);
+    }
+  }
+
+  // The menu lists ships by their `order`, then the unordered ones by file
+  // name; a category appears where its first ship does
+  const getOrder = ({ shipType }) => (shipType.order !== undefined ? shipType.order : Number.MAX_SAFE_INTEGER);
+  validShips.sort((first, second) => getOrder(first) - getOrder(second) || first.source.localeCompare(second.source));
+
+  for (const { source, shipType } of validShips) {
+    const { name, category, visual, physics } = shipType;
+    shipTypes[category] = shipTypes[category] || {};
+    if (shipTypes[category][name]) {
+      errors.push(`Ship "${name}" (${source}): name is already used by another ${category} ship`);
+      continue;
+    }
+    shipTypes[category][name] = { visual, physics };
+  }
+
+  const allShips = listShipTypes();
+  if (allShips.length === 0) {
+    throw new Error(`No valid ship types could be loaded:\n${errors.join('\n')}`);
+  }
+
+  // Keep the current ship if it is still defined, otherwise use the first
+  if (getShipTypeIndex() === -1) {
+    currentShipType = allShips[0];
+  }
+  return errors;
+}
+
+// Flat list of all ships with their categories, in shipTypes order
+export function listShipTypes() {
+  const allShips = [];
+  for (const category of Object.keys(shipTypes)) {
+    for (const shipName of Object.keys(shipTypes[category])) {
+      allShips.push({ category, name: shipName });
+    }
+  }
+  return allShips;
+}
+
+// Index of the current ship type in listShipTypes()
+export function getShipTypeIndex() {
+  return listShipTypes().findIndex(
+    s => s.category === currentShipType.category && s.name === currentShipType.name
+  );
+}
+
+// Make a ship type the current one and apply it to the ship. The ship is
+// locked in once a voyage starts, so this only works from the main menu.
+export function selectShipType(shipTypeInfo) {
+  if (gameState !== 'title') return false;
+  currentShipType = { category: shipTypeInfo.category, name: shipTypeInfo.name };
+  applyShipType(currentShipType);
+  
+  // Reset ship state when switching (optional - prevents weird behavior)
+  ship.speed = 0;
+  ship.drift = 0;
+  ship.acceleration = 0;
+  ship.engines = createEngines();
+  ship.thruster = 0;
+  ship.rudderAngle = 0;
+  resetBoilers();
+  return true;
+}
+
+// True while the ship lies stopped at the start port, the only place the
+// hangar can be reached during a voyage
+export function isDockedAtStartPort() {
+  if (!startPort.generated) return false;
+  const distance = Math.hypot(camera.x - startPort.x, camera.y - startPort.y);
+  return distance < dockConfig.radius && Math.hypot(ship.speed, ship.drift) <= dockConfig.maxSpeed;
+}
+
+// The ship's velocity in world space. Speed and drift are measured along and
+// across the heading, so the hull can point one way and move another.
+export function getShipVelocity() {
+  const headingX = Math.cos(ship.rotation);
+  const headingY = Math.sin(ship.rotation);
+  return {
+    x: headingX * ship.speed - headingY * ship.drift,
+    y: headingY * ship.speed + headingX * ship.drift
+  };
+}
+
+// Split a world-space velocity into speed and drift for the current heading
+function setShipVelocity(velocityX, velocityY) {
+  const headingX = Math.cos(ship.rotation);
+  const headingY = Math.sin(ship.rotation);
+  ship.speed = velocityX * headingX + velocityY * headingY;
+  ship.drift = velocityY * headingX - velocityX * headingY;
+}
+
+export function hash01(a, b = 0, c = 0) {
+  const value = Math.sin(a * 127.1 + b * 311.7 + c * 74.7) * 43758.5453123;
+  return value - Math.floor(value);
+}
+
+// Update ship physics
+function updateShip(deltaTime) {
+  // The engines follow the telegraph, each pulling its share of the thrust
+  // with the power the boilers give them
+  for (const engine of ship.engines) {
+    spoolEngine(engine, deltaTime);
+  }
+  const thrust = getEngineRpm() * getBoilerPower();
+  ship.acceleration = thrust * shipConfig.accelerationPower;
+  ship.thruster = shipConfig.bowThrusterRate > 0 ? (keys.d ? 1 : 0) - (keys.a ? 1 : 0) : 0;
+  
+  // Determine active speed limits (submerged speeds scaled for the depth,
+  // and every limit cut as the hull floods)
+  const speedFactor = getDepthLevel().speedFactor * (1 - damageConfig.maxSpeedLoss * getFloodLevel());
+  const activeMaxSpeed = (isSubmerged() && shipConfig.maxSubmergedSpeed > 0) 
+    ? shipConfig.maxSubmergedSpeed * speedFactor 
+    : shipConfig.maxSpeed * speedFactor;
+  const activeMaxReverseSpeed = (isSubmerged() && shipConfig.maxSubmergedReverseSpeed > 0) 
+    ? shipConfig.maxSubmergedReverseSpeed * speedFactor 
+    : shipConfig.maxReverseSpeed * speedFactor;
+  
+  // The thrust drives the ship towards the matching share of her top speed
+  // (ahead or astern); above it, or with the engines the other way, the
+  // water's friction slows her down to it
+  const targetSpeed = thrust >= 0 ? thrust * activeMaxSpeed : thrust * activeMaxReverseSpeed;
+  if (ship.acceleration > 0 && ship.speed < targetSpeed) {
+    ship.speed = Math.min(targetSpeed, ship.speed + ship.acceleration);
+  } else if (ship.acceleration < 0 && ship.speed > targetSpeed) {
+    ship.speed = Math.max(targetSpeed, ship.speed + ship.acceleration);
+  } else if (ship.speed > targetSpeed) {
+    ship.speed = Math.max(targetSpeed, ship.speed - shipConfig.friction);
+  } else if (ship.speed < targetSpeed) {
+    ship.speed = Math.min(targetSpeed, ship.speed + shipConfig.friction);
+  }
+  
+  // Handle rudder control
+  if (keys.ArrowLeft) {
+    ship.rudderAngle = Math.max(
+      ship.rudderAngle - shipConfig.rudderSpeed,
+      -shipConfig.maxRudderAngle
+    );
+  } else if (keys.ArrowRight) {
+    ship.rudderAngle = Math.min(
+      ship.rudderAngle + shipConfig.rudderSpeed,
+      shipConfig.maxRudderAngle
+    );
+  } else {
+    // Rudder returns to center
+    if (ship.rudderAngle > 0) {
+      ship.rudderAngle = Math.max(0, ship.rudderAngle - shipConfig.rudderSpeed);
+    } else if (ship.rudderAngle < 0) {
+      ship.rudderAngle = Math.min(0, ship.rudderAngle + shipConfig.rudderSpeed);
+    }
+  }
+  
+  // Apply turning based on rudder and speed
+  // Turning is more effective at higher speeds
+  const turnEffectiveness = Math.abs(ship.speed) / activeMaxSpeed;
+  const rotationDelta = ship.rudderAngle * shipConfig.turnRate * turnEffectiveness +
+    getScrewTurn() + getThrusterTurn();
+  const velocity = getShipVelocity();
+  
+  // Calculate pivot point offset from ship center
+  // pivotPoint: 0.0 = bow, 0.5 = center, 1.0 = stern
+  const pivotOffset = (shipConfig.pivotPoint - 0.5) * ship.length;
+  const pivotWorldX = camera.x + Math.cos(ship.rotation) * pivotOffset;
+  const pivotWorldY = camera.y + Math.sin(ship.rotation) * pivotOffset;
+  
+  // Rotate ship around pivot point
+  ship.rotation += rotationDelta;
+  
+  // Calculate new pivot position after rotation
+  const newPivotWorldX = camera.x + Math.cos(ship.rotation) * pivotOffset;
+  const newPivotWorldY = camera.y + Math.sin(ship.rotation) * pivotOffset;
+  
+  // Adjust camera position to keep pivot point in same world position during rotation
+  camera.x += pivotWorldX - newPivotWorldX;
+  camera.y += pivotWorldY - newPivotWorldY;
+  
+  // The hull turned but her momentum didn't: the old velocity now splits into
+  // less speed ahead and a sideways drift, which the water slowly stops.
+  // Heavy hulls keep sliding through the turn for longer.
+  setShipVelocity(velocity.x, velocity.y);
+  ship.drift *= Math.max(0, 1 - shipConfig.lateralDrag / shipConfig.mass);
+  
+  // The wind on the beam adds to the drift
+  const windAcross = Math.sin(wind.direction - ship.rotation) * wind.strength;
+  ship.drift += windAcross * windConfig.push * getWindage() / shipConfig.mass * deltaTime;
+  
+  // Move camera (world) along the velocity, not the heading
+  const { x: moveX, y: moveY } = getShipVelocity();
+  
+  // Store old position for distance tracking
+  const oldCameraX = camera.x;
+  const oldCameraY = camera.y;
+  
+  // Move freely (no boundaries - open world)
+  camera.x += moveX;
+  camera.y += moveY;
+  
+  // Track distance sailed
+  const actualMoveX = camera.x - oldCameraX;
+  const actualMoveY = camera.y - oldCameraY;
+  const distanceThisFrame = Math.sqrt(actualMoveX * actualMoveX + actualMoveY * actualMoveY);
+  totalDistance += distanceThisFrame;
+  
+  // Without boilers (submarine diesels), deplete coal only when moving,
+  // proportional to speed
+  if (boilerRooms.length === 0 && Math.abs(ship.speed) > 0) {
+    // Coal depletion is directly proportional to speed
+    const speedFactor = Math.abs(ship.speed) / activeMaxSpeed; // 0 to 1
+    const coalDepletion = coalConfig.depletionRate * speedFactor;
+    currentCoal = Math.max(0, currentCoal - coalDepletion);
+  }
+}
+
+// Side the wind catches, relative to windConfig.referenceWindage: the
+// superstructure, or a surfaced submarine's conning tower
+function getWindage() {
+  if (isSubmerged()) return 0;
+  const exposedLength = ship.category === 'Submarines'
+    ? ship.conningTowerSize
+    : ship.length * (ship.visualStyle.superstructureLength || 0.6);
+  return exposedLength / windConfig.referenceWindage;
+}
+
+// Set the wind for the current step from the voyage's pattern: two slow
+// swings of different periods for the direction and two for the strength
+function updateWind() {
+  const [veerPhase, veerPhase2, gustPhase, gustPhase2] = windPattern.phases;
+  const veerAngle = voyageSteps / windConfig.veerPeriodSteps * Math.PI * 2;
+  const gustAngle = voyageSteps / windConfig.gustPeriodSteps * Math.PI * 2;
+  const veer = 0.7 * Math.sin(veerAngle + veerPhase) + 0.3 * Math.sin(veerAngle * 2.7 + veerPhase2);
+  const gust = 0.7 * Math.sin(gustAngle + gustPhase) + 0.3 * Math.sin(gustAngle * 3.1 + gustPhase2);
+  
+  wind.direction = windPattern.direction + veer * windConfig.veerRange;
+  wind.strength = windConfig.minStrength +
+    (windConfig.maxStrength - windConfig.minStrength) * (gust + 1) / 2;
+}
+
+// Average share of full RPM over the engines (negative astern)
+function getEngineRpm() {
+  return ship.engines.reduce((sum, engine) => sum + engine.rpm, 0) / ship.engines.length;
+}
+
+// Share of rated engine power the boilers give (always full without boilers)
+export function getBoilerPower() {
+  return boilerRooms.length > 0 ? boilerPressure : 1;
+}
+
+// Boiler rooms currently firing
+export function getFiringBoilerRoomCount() {
+  return boilerRooms.filter(stepsOut => stepsOut === 0).length;
+}
+
+// Stoke the boilers one level harder (1) or easier (-1)
+export function changeStoking(step) {
+  if (gameState !== 'playing' || boilerRooms.length === 0) return;
+  stokingLevel = Math.max(0, Math.min(boilerConfig.stokingLevels.length - 1, stokingLevel + step));
+}
+
+// Fresh boilers for the current ship: one room per funnel, in steam at
+// working pressure and stoked normally
+function resetBoilers() {
+  boilerRooms = Array.from({ length: ship.stackCount }, () => 0);
+  boilerPressure = 1;
+  stokingLevel = boilerConfig.startLevel;
+}
+
+// Move the pressure towards what the stoking holds with the rooms that are
+// firing, burn the coal for it, and risk a burst past the red line
+function updateBoilers(deltaTime) {
+  if (boilerRooms.length === 0) return;
+  
+  for (let i = 0; i < boilerRooms.length; i++) {
+    boilerRooms[i] = Math.max(0, boilerRooms[i] - deltaTime);
+  }
+  const firingShare = getFiringBoilerRoomCount() / boilerRooms.length;
+  const level = boilerConfig.stokingLevels[stokingLevel];
+  
+  // The engines draw steam in proportion to their RPM; the fires need coal
+  const heldPressure = currentCoal > 0
+    ? (level.pressure + (1 - Math.abs(getEngineRpm())) * boilerConfig.idleRise) * firingShare
+    : 0;
+  boilerPressure += (heldPressure - boilerPressure) * boilerConfig.responseRate * deltaTime;
+  currentCoal = Math.max(0, currentCoal - coalConfig.depletionRate * level.coal * firingShare * deltaTime);
+  
+  // Deterministic per step, so a voyage replays the same from its seed
+  const overPressure = boilerPressure - boilerConfig.redLine;
+  if (overPressure <= 0) return;
+  const random = createRandom(hashSeed(worldSeed, voyageSteps));
+  if (random() >= overPressure * boilerConfig.burstChance * deltaTime) return;
+  
+  const firing = boilerRooms.flatMap((stepsOut, index) => (stepsOut === 0 ? [index] : []));
+  boilerRooms[firing[Math.floor(random() * firing.length)]] = boilerConfig.relightSteps;
+  boilerPressure = Math.max(0, boilerPressure - boilerConfig.burstPressureLoss);
+}
+
+// Engines for the current ship's propulsion layout, stopped and set to run ahead
+function createEngines() {
+  return propulsionConfig.layouts[shipConfig.propulsion].map(side => ({
+    side, // 'center', 'port' or 'starboard'
+    order: stopOrder, // Index into telegraphOrders
+    rpm: 0, // Share of full RPM: positive ahead, negative astern
+    direction: 1, // Way the engine is set to turn: 1 ahead, -1 astern
+    reversingSteps: 0 // Time spent stopped so far while being reversed
+  }));
+}
+
+// Ring the telegraph one order ahead (1) or astern (-1), for one side's
+// engine or, without a side, for every engine
+export function ringTelegraph(step, side) {
+  if (gameState !== 'playing') return;
+  
+  for (const engine of ship.engines) {
+    if (side && engine.side !== side) continue;
+    engine.order = Math.max(0, Math.min(telegraphOrders.length - 1, engine.order + step));
+  }
+}
+
+// Run an engine's RPM towards its order. It can't go straight from ahead
+// to astern: it winds down, stands stopped while the engine room reverses
+// it, then winds up the other way. With no coal it winds down and stays.
+function spoolEngine(engine, deltaTime) {
+  const targetRpm = currentCoal > 0 ? telegraphOrders[engine.order].power : 0;
+  const spool = shipConfig.spoolRate * deltaTime;
+  
+  if (targetRpm !== 0 && Math.sign(targetRpm) !== engine.direction) {
+    if (engine.rpm !== 0) {
+      engine.rpm = engine.rpm > 0 ? Math.max(0, engine.rpm - spool) : Math.min(0, engine.rpm + spool);
+      return;
+    }
+    engine.reversingSteps += deltaTime;
+    if (engine.reversingSteps < shipConfig.reversingDelay) return;
+    engine.direction = -engine.direction;
+  }
+  engine.reversingSteps = 0;
+  
+  if (engine.rpm < targetRpm) {
+    engine.rpm = Math.min(targetRpm, engine.rpm + spool);
+  } else if (engine.rpm > targetRpm) {
+    engine.rpm = Math.max(targetRpm, engine.rpm - spool);
+  }
+}
+
+// Turn from the port and starboard engines pulling differently (radians per step)
+function getScrewTurn() {
+  if (shipConfig.propulsion !== 'twin') return 0;
+  const [port, starboard] = ship.engines;
+  const differential = (port.rpm - starboard.rpm) / 2;
+  return differential * shipConfig.maxRudderAngle * shipConfig.turnRate * propulsionConfig.twinScrewTurning;
+}
+
+// Turn from the bow thruster, which only works at low speed (radians per step)
+function getThrusterTurn() {
+  const grip = Math.max(0, 1 - Math.abs(ship.speed) / propulsionConfig.thrusterFadeSpeed);
+  return ship.thruster * shipConfig.bowThrusterRate * grip;
+}
+
+// Move towards the ordered depth at the dive or surfacing rate
+function updateDepth(deltaTime) {
+  if (ship.category !== 'Submarines') return;
+  
+  const targetDepth = depthLevels[ship.targetDepthLevel].depth;
+  if (ship.depth < targetDepth) {
+    ship.depth = Math.min(targetDepth, ship.depth + depthConfig.diveRate * deltaTime);
+  } else if (ship.depth > targetDepth) {
+    ship.depth = Math.max(targetDepth, ship.depth - depthConfig.surfaceRate * deltaTime);
+  }
+}
+
+// Drain the battery while dived and recharge it on the surface
+function updateBattery(deltaTime) {
+  if (ship.category !== 'Submarines') return;
+  
+  if (isSubmerged()) {
+    const speedFactor = shipConfig.maxSubmergedSpeed > 0
+      ? Math.abs(ship.speed) / shipConfig.maxSubmergedSpeed
+      : 0;
+    const drain = (batteryConfig.drainRate + batteryConfig.speedDrainRate * speedFactor) *
+      getDepthLevel().drainFactor;
+    batteryCharge = Math.max(0, batteryCharge - drain * deltaTime);
+    
+    // Out of battery or air: blow the tanks
+    if (batteryCharge === 0) {
+      ship.targetDepthLevel = 0;
+      forcedToSurface = true;
+    }
+  } else {
+    batteryCharge = Math.min(batteryConfig.maxCharge, batteryCharge + batteryConfig.rechargeRate * deltaTime);
+    if (batteryCharge >= batteryConfig.minChargeToDive) forcedToSurface = false;
+  }
+}
+
+// Generate icebergs for a chunk
+function generateIcebergsForChunk(chunkX, chunkY) {
+  const chunkWorldX = chunkX * icebergGridSize;
+  const chunkWorldY = chunkY * icebergGridSize;
+  
+  // Each chunk gets its own stream derived from the world seed, so a chunk
+  // looks the same no matter when or in which order it is generated.
+  const random = createRandom(hashSeed(worldSeed, chunkX, chunkY));
+  
+  // Density is defined in world units, so every window size gets the same
+  // ice field. The fractional part of the expected count becomes the chance
+  // of one extra iceberg, keeping the average exact for sparse densities.
+  const chunkSizeInNauticalMiles = icebergGridSize / worldConfig.unitsPerNauticalMile;
+  const chunkAreaInSquareNauticalMiles = chunkSizeInNauticalMiles * chunkSizeInNauticalMiles;
+  const averageCount = chunkAreaInSquareNauticalMiles * icebergsConfig.density;
+  const expectedCount = Math.floor(averageCount) + (random() < averageCount % 1 ? 1 : 0);
+  
+  for (let i = 0; i < expectedCount; i++) {
+    // Draw every value up front so each iceberg keeps its rolls even when
+    // an earlier candidate is skipped
+    const x = chunkWorldX + random() * icebergGridSize;
+    const y = chunkWorldY + random() * icebergGridSize;
+    const sizeRoll = random();
+    const pointsRoll = random();
+    const shapeSeed = Math.floor(random() * 100000);
+    
+    // Keep navigable water around the departure harbor and destination island.
+    // The previous check measured from world origin instead of the actual port.
+    const distanceFromStartPort = startPort.generated
+      ? Math.hypot(x - startPort.x, y - startPort.y)
+      : Infinity;
+    const distanceFromGoal = goal.generated
+      ? Math.hypot(x - goal.x, y - goal.y)
+      : Infinity;
+    const nearFuelRig = fuelRigIndex.queryRadius(x, y, fuelRigConfig.refuelRadius * 1.5).length > 0;
+    if (
+      distanceFromStartPort < goalConfig.radius * 2.5 ||
+      distanceFromGoal < goalConfig.radius * 1.65 ||
+      nearFuelRig
+    ) {
+      continue;
+    }
+    
+    // Seeded size; the keel below the waterline grows with it
+    const size = icebergsConfig.minSize + 
+                 sizeRoll * (icebergsConfig.maxSize - icebergsConfig.minSize);
+    const keelDepth = icebergsConfig.minKeelDepth +
+                      sizeRoll * (icebergsConfig.maxKeelDepth - icebergsConfig.minKeelDepth);
+    
+    // Seeded point count
+    const pointCount = Math.floor(icebergsConfig.minPoints + 
+                                  pointsRoll * (icebergsConfig.maxPoints - icebergsConfig.minPoints));
+    
+    icebergIndex.insert({
+      x: x,
+      y: y,
+      size: size,
+      keelDepth: keelDepth,
+      pointCount: pointCount,
+      seed: shapeSeed
+    });
+  }
+}
+
+// Load every iceberg chunk overlapping a world box and add it to the working set
+function touchIcebergChunks(minX, minY, maxX, maxY, workingSet) {
+  const minChunkX = Math.floor(minX / icebergGridSize);
+  const maxChunkX = Math.ceil(maxX / icebergGridSize);
+  const minChunkY = Math.floor(minY / icebergGridSize);
+  const maxChunkY = Math.ceil(maxY / icebergGridSize);
+  
+  for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+    for (let chunkY = minChunkY; chunkY <= maxChunkY; chunkY++) {
+      icebergChunks.touch(chunkX, chunkY);
+      workingSet.add(icebergChunks.chunkKey(chunkX, chunkY));
+    }
+  }
+}
+
+// Stream icebergs in around the visible area and unload stale chunks
+function ensureIcebergsGenerated() {
+  // Zooming out shows more of the world, so more chunks are needed
+  const visibleWorldWidth = viewport.width / camera.zoom;
+  const visibleWorldHeight = viewport.height / camera.zoom;
+  const preload = icebergsConfig.preloadChunks * icebergGridSize;
+  
+  const workingSet = new Set();
+  touchIcebergChunks(
+    camera.x - visibleWorldWidth / 2 - preload,
+    camera.y - visibleWorldHeight / 2 - preload,
+    camera.x + visibleWorldWidth / 2 + preload,
+    camera.y + visibleWorldHeight / 2 + preload,
+    workingSet
+  );
+  
+  // A sonar ring in flight hears out to its full range, whatever the zoom
+  if (sonarPing) {
+    const { x, y } = sonarPing;
+    const range = sonarConfig.range;
+    touchIcebergChunks(x - range, y - range, x + range, y + range, workingSet);
+  }
+  
+  icebergChunks.trim(workingSet);
+}
+
+export function getIceFloePoints(iceberg) {
+  const points = [];
+  const angleStep = (Math.PI * 2) / iceberg.pointCount;
+  const squash = 0.78 + hash01(iceberg.seed, 4) * 0.2;
+
+  for (let i = 0; i < iceberg.pointCount; i++) {
+    const angleJitter = (hash01(iceberg.seed, i, 5) - 0.5) * angleStep * 0.34;
+    const angle = i * angleStep + angleJitter;
+    const radiusVariation = 0.76 + hash01(iceberg.seed, i, 6) * 0.24;
+    const radius = iceberg.size * radiusVariation;
+    points.push({
+      x: Math.cos(angle) * radius,
+      y: Math.sin(angle) * radius * squash
+    });
+  }
+
+  return points;
+}
+
+// Each floe lies at its own slight angle
+export function getIceFloeRotation(iceberg) {
+  return (hash01(iceberg.seed, 8) - 0.5) * 0.8;
+}
+
+// Wrecks are drawn and collide as the sunken hull, shrunk to fit the wreck size
+export function getWreckScale(source, size) {
+  return Math.min(0.68, (size * 2.25) / source.length);
+}
+
+// Generate start port on edge of world
+function generateStartPort() {
+  const offset = goalConfig.edgeOffset;
+  
+  // Randomly choose which edge (0=top, 1=right, 2=bottom, 3=left)
+  const edge = Math.floor(worldRandom() * 4);
+  
+  switch (edge) {
+    case 0: // Top edge
+      startPort.x = offset + worldRandom() * (worldConfig.width - offset * 2);
+      startPort.y = offset;
+      break;
+    case 1: // Right edge
+      startPort.x = worldConfig.width - offset;
+      startPort.y = offset + worldRandom() * (worldConfig.height - offset * 2);
+      break;
+    case 2: // Bottom edge
+      startPort.x = offset + worldRandom() * (worldConfig.width - offset * 2);
+      startPort.y = worldConfig.height - offset;
+      break;
+    case 3: // Left edge
+      startPort.x = offset;
+      startPort.y = offset + worldRandom() * (worldConfig.height - offset * 2);
+      break;
+  }
+  
+  startPort.generated = true;
+  
+  // Position ship near start port (outside the island, but close to it)
+  // Place ship at a distance of 1.5x to 2x the island radius away from the center
+  const minDistance = goalConfig.radius * 1.5; // Outside the island
+  const maxDistance = goalConfig.radius * 2.2; // Not too far
+  const distance = minDistance + worldRandom() * (maxDistance - minDistance);
+  const portRotation = getIslandPortRotation(startPort.x, startPort.y);
+  const approachAngle = Math.PI / 2 + portRotation;
+
+  camera.x = startPort.x + Math.cos(approachAngle) * distance;
+  camera.y = startPort.y + Math.sin(approachAngle) * distance;
+  ship.rotation = approachAngle + Math.PI;
+}
+
+// Generate goal on edge of world (different edge from start port)
+function generateGoal() {
+  const offset = goalConfig.edgeOffset;
+  
+  // Get start port edge
+  let startPortEdge = -1;
+  if (startPort.generated) {
+    if (startPort.y <= offset + 10) startPortEdge = 0; // Top
+    else if (startPort.x >= worldConfig.width - offset - 10) startPortEdge = 1; // Right
+    else if (startPort.y >= worldConfig.height - offset - 10) startPortEdge = 2; // Bottom
+    else if (startPort.x <= offset + 10) startPortEdge = 3; // Left
+  }
+  
+  // Choose a different edge for goal
+  let edge;
+  do {
+    edge = Math.floor(worldRandom() * 4);
+  } while (edge === startPortEdge && startPort.generated);
+  
+  switch (edge) {
+    case 0: // Top edge
+      goal.x = offset + worldRandom() * (worldConfig.width - offset * 2);
+      goal.y = offset;
+      break;
+    case 1: // Right edge
+      goal.x = worldConfig.width - offset;
+      goal.y = offset + worldRandom() * (worldConfig.height - offset * 2);
+      break;
+    case 2: // Bottom edge
+      goal.x = offset + worldRandom() * (worldConfig.width - offset * 2);
+      goal.y = worldConfig.height - offset;
+      break;
+    case 3: // Left edge
+      goal.x = offset;
+      goal.y = offset + worldRandom() * (worldConfig.height - offset * 2);
+      break;
+  }
+  
+  goal.generated = true;
+}
+
+function generateFuelRigs() {
+  fuelRigs.length = 0;
+  fuelRigIndex.clear();
+
+  const margin = 450;
+  const maxAttempts = fuelRigConfig.count * 120;
+  let attempts = 0;
+
+  while (fuelRigs.length < fuelRigConfig.count && attempts < maxAttempts) {
+    attempts++;
+    const x = margin + worldRandom() * (worldConfig.width - margin * 2);
+    const y = margin + worldRandom() * (worldConfig.height - margin * 2);
+
+    if (startPort.generated && Math.hypot(x - startPort.x, y - startPort.y) < fuelRigConfig.islandClearance) {
+      continue;
+    }
+    if (goal.generated && Math.hypot(x - goal.x, y - goal.y) < fuelRigConfig.islandClearance) {
+      continue;
+    }
+    if (fuelRigIndex.queryRadius(x, y, fuelRigConfig.minSpacing).length > 0) {
+      continue;
+    }
+
+    const rig = {
+      x,
+      y,
+      seed: fuelRigs.length * 431 + x * 0.017 + y * 0.029
+    };
+    fuelRigs.push(rig);
+    fuelRigIndex.insert(rig);
+  }
+}
+
+function checkFuelRigs(deltaTime) {
+  nearFuelRig = false;
+  isRefueling = false;
+
+  for (const rig of fuelRigIndex.queryRadius(camera.x, camera.y, fuelRigConfig.refuelRadius)) {
+    const distance = Math.hypot(camera.x - rig.x, camera.y - rig.y);
+    if (distance >= fuelRigConfig.refuelRadius) continue;
+
+    nearFuelRig = true;
+    if (Math.abs(ship.speed) <= 0.35 && currentCoal < coalConfig.maxCoal) {
+      isRefueling = true;
+      currentCoal = Math.min(
+        coalConfig.maxCoal,
+        currentCoal + fuelRigConfig.refuelRate * deltaTime
+      );
+    }
+    break;
+  }
+}
+
+function generateKrakens() {
+  krakens.length = 0;
+  krakenChaseActive = false;
+  const count = krakenConfig.minCount + Math.floor(
+    worldRandom() * (krakenConfig.maxCount - krakenConfig.minCount + 1)
+  );
+  const margin = 900;
+  const maxAttempts = count * 100;
+  let attempts = 0;
+
+  while (krakens.length < count && attempts < maxAttempts) {
+    attempts++;
+    const x = worldConfig.width * 0.18 + worldRandom() * worldConfig.width * 0.64;
+    const y = worldConfig.height * 0.18 + worldRandom() * worldConfig.height * 0.64;
+
+    if (x < margin || x > worldConfig.width - margin ||
+        y < margin || y > worldConfig.height - margin) {
+      continue;
+    }
+    if (startPort.generated && Math.hypot(x - startPort.x, y - startPort.y) < krakenConfig.islandClearance) {
+      continue;
+    }
+    if (goal.generated && Math.hypot(x - goal.x, y - goal.y) < krakenConfig.islandClearance) {
+      continue;
+    }
+    if (krakens.some(kraken => Math.hypot(x - kraken.x, y - kraken.y) < krakenConfig.minSpacing)) {
+      continue;
+    }
+
+    krakens.push({
+      x,
+      y,
+      heading: worldRandom() * Math.PI * 2,
+      phase: worldRandom() * Math.PI * 2,
+      isChasing: false,
+      pingTarget: null, // Where the last sonar ping it heard came from
+      heardPingStep: -1,
+      seed: krakens.length * 743 + x * 0.023 + y * 0.013
+    });
+  }
+}
+
+function updateKrakens(deltaTime) {
+  krakenChaseActive = false;
+  const { krakens: krakensReachShip } = getDepthLevel();
+
+  for (const kraken of krakens) {
+    kraken.phase += deltaTime * 0.08;
+    const distanceToShip = Math.hypot(camera.x - kraken.x, camera.y - kraken.y);
+    const engageDistance = ship.length * krakenConfig.engageDistanceInShipLengths;
+    const disengageDistance = ship.length * krakenConfig.disengageDistanceInShipLengths;
+
+    // Krakens lose interest in a boat that dives below their reach
+    if (!krakensReachShip) {
+      kraken.isChasing = false;
+    } else if (distanceToShip < engageDistance) {
+      kraken.isChasing = true;
+    } else if (distanceToShip > disengageDistance) {
+      kraken.isChasing = false;
+    }
+
+    // A kraken hears a sonar ping when the ring reaches it and swims over to
+    // where it came from, giving up once there or when it starts a chase
+    if (sonarPing && kraken.heardPingStep !== sonarPing.step &&
+        Math.hypot(kraken.x - sonarPing.x, kraken.y - sonarPing.y) <= sonarPing.radius) {
+      kraken.heardPingStep = sonarPing.step;
+      kraken.pingTarget = { x: sonarPing.x, y: sonarPing.y };
+    }
+    if (kraken.pingTarget && (kraken.isChasing ||
+        Math.hypot(kraken.x - kraken.pingTarget.x, kraken.y - kraken.pingTarget.y) < krakenConfig.attackDistance)) {
+      kraken.pingTarget = null;
+    }
+
+    let speed = krakenConfig.swimSpeed;
+    const target = kraken.isChasing ? camera : kraken.pingTarget;
+    if (target) {
+      if (kraken.isChasing) krakenChaseActive = true;
+      const targetHeading = Math.atan2(target.y - kraken.y, target.x - kraken.x);
+      const headingDifference = Math.atan2(
+        Math.sin(targetHeading - kraken.heading),
+        Math.cos(targetHeading - kraken.heading)
+      );
+      const maxTurn = krakenConfig.chaseTurnRate * deltaTime;
+      kraken.heading += Math.max(-maxTurn, Math.min(maxTurn, headingDifference));
+      speed = kraken.isChasing ? krakenConfig.chaseSpeed : krakenConfig.alertSpeed;
+    } else {
+      kraken.heading += Math.sin(kraken.phase + kraken.seed) * 0.0025 * deltaTime;
+    }
+
+    kraken.x += Math.cos(kraken.heading) * speed * deltaTime;
+    kraken.y += Math.sin(kraken.heading) * speed * deltaTime;
+
+    // Wandering krakens stay in open water, but an engaged kraken must be
+    // allowed to follow a ship near an edge instead of being pinned at a
+    // corner by the patrol boundary.
+    if (!kraken.isChasing) {
+      const margin = 500;
+      if (kraken.x < margin || kraken.x > worldConfig.width - margin) {
+        kraken.heading = Math.PI - kraken.heading;
+        kraken.x = Math.max(margin, Math.min(worldConfig.width - margin, kraken.x));
+      }
+      if (kraken.y < margin || kraken.y > worldConfig.height - margin) {
+        kraken.heading = -kraken.heading;
+        kraken.y = Math.max(margin, Math.min(worldConfig.height - margin, kraken.y));
+      }
+    }
+  }
+}
+
+function checkKrakenEncounters() {
+  if (gameState !== 'playing' || !getDepthLevel().krakens) return;
+
+  for (const kraken of krakens) {
+    const distance = Math.hypot(camera.x - kraken.x, camera.y - kraken.y);
+    const dangerDistance = Math.max(
+      krakenConfig.attackDistance,
+      ship.width / 2 + 50
+    );
+    if (distance < dangerDistance) {
+      recordShipwreck(camera.x, camera.y);
+      loseVoyage('kraken');
+      return;
+    }
+  }
+}
+
+// Depth of the seabed at a world position in metres; Infinity in open ocean
+export function getSeabedDepth(x, y) {
+  const { shelfRadius, coastDepth, shelfEdgeDepth } = seabedConfig;
+  let depth = Infinity;
+  
+  for (const island of [startPort, goal]) {
+    if (!island.generated) continue;
+    
+    const distance = Math.hypot(x - island.x, y - island.y);
+    if (distance >= shelfRadius) continue;
+    
+    const shelfFraction = Math.max(0, distance - goalConfig.radius) / (shelfRadius - goalConfig.radius);
+    depth = Math.min(depth, coastDepth + shelfFraction * (shelfEdgeDepth - coastDepth));
+  }
+  return depth;
+}
+
+// Check if ship reached the goal
+function checkGoalReached() {
+  if (gameState !== 'playing' || !goal.generated) return;
+  
+  // Ship position in world space (camera position)
+  const shipWorldX = camera.x;
+  const shipWorldY = camera.y;
+  
+  // Calculate distance to goal center
+  const dx = shipWorldX - goal.x;
+  const dy = shipWorldY - goal.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  
+  // Check if ship is within goal radius
+  if (distance < goalConfig.radius) {
+    finishVoyage('won');
+  }
+}
+
+// Turn each harbor toward open water, away from the nearest world edge. This
+// keeps the approach looking intentional regardless of where islands spawn.
+export function getIslandPortRotation(worldX, worldY) {
+  const distances = [
+    { distance: worldY, rotation: 0 },
+    { distance: worldConfig.width - worldX, rotation: Math.PI / 2 },
+    { distance: worldConfig.height - worldY, rotation: Math.PI },
+    { distance: worldX, rotation: -Math.PI / 2 }
+  ];
+
+  return distances.reduce((nearest, current) => (
+    current.distance < nearest.distance ? current : nearest
+  )).rotation;
+}
+
+function recordShipwreck(x, y) {
+  const wreckSize = Math.max(
+    shipwreckConfig.minSize,
+    Math.min(shipwreckConfig.maxSize, ship.width * 0.9)
+  );
+  // The hulk's outline in world space, fixed for good
+  const wreckScale = getWreckScale(ship, wreckSize);
+  const hullPoints = transformPoints(
+    ship.hullPoints.map(point => ({ x: point.x * wreckScale, y: point.y * wreckScale })),
+    x,
+    y,
+    ship.rotation
+  );
+  const shipwreck = {
+    x,
+    y,
+    size: wreckSize,
+    rotation: ship.rotation,
+    hullPoints,
+    hullRadius: getPolygonRadius(ship.hullPoints) * wreckScale,
+    seed: shipwrecks.length * 977 + x * 0.031 + y * 0.017,
+    source: {
+      category: ship.category,
+      name: ship.name,
+      length: ship.length,
+      width: ship.width,
+      stackCount: ship.stackCount,
+      stackRadius: ship.stackRadius,
+      conningTowerSize: ship.conningTowerSize,
+      depth: ship.depth,
+      visualStyle: { ...ship.visualStyle }
+    }
+  };
+  shipwrecks.push(shipwreck);
+  wreckIndex.insert(shipwreck);
+}
+
+// Check collision between ship, icebergs, and remembered shipwrecks.
+function checkCollisions() {
+  if (gameState !== 'playing') return;
+  
+  // Dived submarines only meet the hazards that reach their depth
+  const depthLevel = getDepthLevel();
+  
+  if (ship.depth > getSeabedDepth(camera.x, camera.y)) {
+    recordShipwreck(camera.x, camera.y);
+    loseVoyage('grounded');
+    return;
+  }
+  
+  // Ship position in world space (camera position)
+  const shipWorldX = camera.x;
+  const shipWorldY = camera.y;
+  
+  // Broad phase: a circle around the whole hull. Only obstacles inside it
+  // are tested against the hull outline itself.
+  const shipRadius = getPolygonRadius(ship.hullPoints);
+  let shipHull = null;
+  const findImpact = (polygon) => {
+    shipHull = shipHull || transformPoints(ship.hullPoints, shipWorldX, shipWorldY, ship.rotation);
+    return getOverlapCenter(shipHull, polygon);
+  };
+  
+  // Check collision with icebergs in the surrounding chunks only
+  const nearbyIcebergs = icebergIndex.queryRadius(
+    shipWorldX, shipWorldY, shipRadius, icebergsConfig.maxSize
+  );
+  for (const iceberg of nearbyIcebergs) {
+    if (ship.depth >= iceberg.keelDepth) continue; // Passing under the keel
+    
+    // Floe points never reach beyond the iceberg's size
+    const distance = Math.hypot(shipWorldX - iceberg.x, shipWorldY - iceberg.y);
+    if (distance >= shipRadius + iceberg.size) continue;
+    
+    const floe = transformPoints(getIceFloePoints(iceberg), iceberg.x, iceberg.y, getIceFloeRotation(iceberg));
+    const impact = findImpact(floe);
+    if (impact) {
+      strikeHull(impact, iceberg);
+      return;
+    }
+  }
+
+  if (!depthLevel.wrecks) return;
+  
+  const nearbyWrecks = wreckIndex.queryRadius(
+    shipWorldX, shipWorldY, shipRadius, shipwreckConfig.maxSize * 2
+  );
+  for (const shipwreck of nearbyWrecks) {
+    const distance = Math.hypot(shipWorldX - shipwreck.x, shipWorldY - shipwreck.y);
+    if (distance >= shipRadius + shipwreck.hullRadius) continue;
+    
+    const impact = findImpact(shipwreck.hullPoints);
+    if (impact) {
+      strikeHull(impact, shipwreck);
+      return;
+    }
+  }
+}
+
+let lastStrikeStep = -1;
+
+// The ship hit an obstacle centred at `obstacle` at a world point on its
+// hull. She is put back where she was before this step and pushed clear
+// along the contact normal. The part of her velocity driving into the
+// obstacle bounces back weakly, the part along it is slowed by friction,
+// and an off-centre blow kicks her heading round. Only the speed into the
+// obstacle breaches the hull, so a glancing blow mostly scrapes: shallow
+// holes along several compartments instead of one torn wide open. If she
+// was already touching it last step (a submarine rising into a keel, say),
+// she is only eased away.
+function strikeHull(impact, obstacle) {
+  let normalX = impact.x - obstacle.x;
+  let normalY = impact.y - obstacle.y;
+  const normalLength = Math.hypot(normalX, normalY) || 1;
+  normalX /= normalLength;
+  normalY /= normalLength;
+  
+  const headingX = Math.cos(ship.rotation);
+  const headingY = Math.sin(ship.rotation);
+  const direction = Math.sign(ship.speed) || 1; // Ahead or astern
+  const { x: velocityX, y: velocityY } = getShipVelocity();
+  const normalSpeed = velocityX * normalX + velocityY * normalY; // Negative when closing
+  const tangentX = -normalY;
+  const tangentY = normalX;
+  const tangentSpeed = velocityX * tangentX + velocityY * tangentY;
+  const leverX = impact.x - camera.x; // From the hull's center at the moment of impact
+  const leverY = impact.y - camera.y;
+  
+  if (lastStrikeStep !== voyageSteps - 1) {
+    camera.x = previousState.cameraX;
+    camera.y = previousState.cameraY;
+    ship.rotation = previousState.shipRotation;
+    setShipVelocity(velocityX, velocityY);
+  }
+  lastStrikeStep = voyageSteps;
+  camera.x += normalX * collisionConfig.separation;
+  camera.y += normalY * collisionConfig.separation;
+  if (normalSpeed >= 0) return; // Already moving clear
+  
+  // Velocity after the blow: bounced off along the normal, slowed along the
+  // obstacle. Whatever doesn't line up with the heading becomes drift.
+  const closingSpeed = -normalSpeed;
+  const bouncedNormal = closingSpeed * collisionConfig.restitution;
+  const slidTangent = tangentSpeed * (1 - collisionConfig.friction);
+
+  // Rotation kick from the impulse acting at the contact point; heavy hulls
+  // are turned less
+  const impulse = closingSpeed * (1 + collisionConfig.restitution);
+  const torque = (leverX * normalY - leverY * normalX) * impulse / (ship.length / 2) / shipConfig.mass;
+  const maxKick = collisionConfig.maxRotationKick;
+  ship.rotation += Math.max(-maxKick, Math.min(maxKick, torque * collisionConfig.rotationKick));
+  setShipVelocity(
+    normalX * bouncedNormal + tangentX * slidTangent,
+    normalY * bouncedNormal + tangentY * slidTangent
+  );
+  
+  if (closingSpeed < damageConfig.minBreachSpeed) return;
+  
+  // Compartment at the impact, 0 at the bow. The scrape runs aft from there
+  // (forward when going astern) with the speed along the obstacle.
+  const alongHull = leverX * headingX + leverY * headingY;
+  const compartmentLength = ship.length / damageConfig.compartmentCount;
+  const first = Math.max(0, Math.min(
+    damageConfig.compartmentCount - 1,
+    Math.floor((ship.length / 2 - alongHull) / compartmentLength)
+  ));
+  const scrapeLength = Math.abs(tangentSpeed) * damageConfig.scrapeLengthPerSpeed * direction;
+  const last = Math.floor((ship.length / 2 - alongHull + scrapeLength) / compartmentLength);
+  const breach = Math.min(1, closingSpeed / damageConfig.fullBreachSpeed);
+  
+  const from = Math.max(0, Math.min(first, last));
+  const to = Math.min(damageConfig.compartmentCount - 1, Math.max(first, last));
+  for (let index = from; index <= to; index++) {
+    const compartment = ship.compartments[index];
+    compartment.breach = Math.min(1, compartment.breach + breach);
+  }
+}
+
+// Water pours in through the breaches while the pumps fight it
+function updateFlooding(deltaTime) {
+  if (gameState !== 'playing') return;
+  
+  for (const compartment of ship.compartments) {
+    const inflow = compartment.breach * damageConfig.floodRate - damageConfig.pumpRate;
+    compartment.flooding = Math.max(0, Math.min(1, compartment.flooding + inflow * deltaTime));
+  }
+  
+  if (getFloodedCompartmentCount() > damageConfig.maxFloodedCompartments) {
+    recordShipwreck(camera.x, camera.y);
+    loseVoyage('sunk');
+  }
+}
+
+// Compartments that have filled completely
+export function getFloodedCompartmentCount() {
+  return ship.compartments.filter(compartment => compartment.flooding >= 1).length;
+}
+
+// How close the ship is to sinking by the water she carries, from 0 (dry)
+// to 1 (one more compartment would sink her)
+export function getFloodLevel() {
+  const water = ship.compartments.reduce((sum, compartment) => sum + compartment.flooding, 0);
+  return Math.min(1, water / (damageConfig.maxFloodedCompartments + 1));
+}
+
+// Extra draft from the water aboard, in metres
+export function getFloodDraft() {
+  const water = ship.compartments.reduce((sum, compartment) => sum + compartment.flooding, 0);
+  return water * damageConfig.draftPerCompartment;
+}
+
+// Reset the world for a new voyage. Pass a seed to replay a known map; by
+// default every voyage gets a fresh one. The game state is left alone:
+// callers move it on with setGameState.
+export function resetWorld(seed = randomSeed()) {
+  gameOverReason = 'sunk';
+  
+  // Clear all pressed keys to prevent stuck keys from affecting restart
+  for (const key of Object.keys(keys)) {
+    keys[key] = false;
+  }
+  
+  // Apply current ship type (ensures ship properties are correct)
+  applyShipType(currentShipType);
+  
+  // Reset ship state
+  ship.rotation = -Math.PI / 2;
+  ship.speed = 0;
+  ship.drift = 0;
+  ship.acceleration = 0;
+  ship.engines = createEngines();
+  ship.thruster = 0;
+  ship.rudderAngle = 0;
+  ship.depth = 0; // Start every voyage surfaced
+  ship.targetDepthLevel = 0;
+  ship.periscopeBearing = 0;
+  sightings.clear();
+  sonarPing = null;
+  sonarCooldown = 0;
+  sonarEchoes.clear();
+  
+  // Reset start port and goal
+  startPort.generated = false;
+  goal.generated = false;
+  
+  // Clear icebergs and regenerate
+  icebergChunks.clear();
+  icebergIndex.clear();
+  
+  // Reseed world generation before anything is placed
+  worldSeed = seed;
+  worldRandom = createRandom(worldSeed);
+  
+  // The weather has its own stream so it doesn't shift the map
+  const windRandom = createRandom(hashSeed(worldSeed, 0x77696e64)); // "wind"
+  windPattern = {
+    direction: windRandom() * Math.PI * 2,
+    phases: [windRandom(), windRandom(), windRandom(), windRandom()].map(value => value * Math.PI * 2)
+  };
+  
+  // Generate start port (this will also position the camera near the start port) and goal
+  generateStartPort();
+  generateGoal();
+  generateFuelRigs();
+  generateKrakens();
+  
+  // Reset timing
+  totalDistance = 0;
+  currentCoal = coalConfig.maxCoal;
+  resetBoilers();
+  batteryCharge = batteryConfig.maxCharge;
+  forcedToSurface = false;
+  nearFuelRig = false;
+  isRefueling = false;
+  voyageSteps = 0;
+  lastStrikeStep = -1;
+  updateWind();
+  
+  // Don't interpolate from the previous voyage's position
+  capturePreviousState();
+}
+
+// Remember where everything was before the next step moves it. Krakens keep
+// their own previous position since they come and go with the world.
+function capturePreviousState() {
+  previousState.cameraX = camera.x;
+  previousState.cameraY = camera.y;
+  previousState.shipRotation = ship.rotation;
+  
+  for (const kraken of krakens) {
+    kraken.previousX = kraken.x;
+    kraken.previousY = kraken.y;
+    kraken.previousHeading = kraken.heading;
+  }
+}
+
+// Set the camera zoom, clamped to the configured limits
+export function setCameraZoom(zoom) {
+  camera.zoom = Math.max(cameraConfig.minZoom, Math.min(cameraConfig.maxZoom, zoom));
+}
+
+// Whether the ship is below the surface (submarines only)
+export function isSubmerged() {
+  return ship.category === 'Submarines' && ship.depth > 0;
+}
+
+// The deepest depth level the ship has reached. Surface ships always sail
+// at the surface level.
+export function getDepthLevel() {
+  let reached = depthLevels[0];
+  if (ship.category !== 'Submarines') return reached;
+  
+  for (const level of depthLevels) {
+    if (ship.depth >= level.depth) reached = level;
+  }
+  return reached;
+}
+
+// Order the next depth level down (step 1) or up (step -1). Submarines only,
+// and only while playing.
+export function changeDepth(step) {
+  if (gameState !== 'playing' || ship.category !== 'Submarines') return;
+  
+  const target = Math.max(0, Math.min(depthLevels.length - 1, ship.targetDepthLevel + step));
+  
+  // Diving needs enough charge to be worth it
+  if (ship.targetDepthLevel === 0 && target > 0 && batteryCharge < batteryConfig.minChargeToDive) return;
+  if (!isSubmerged() && target > 0) {
+    ship.periscopeBearing = 0; // The periscope comes up facing ahead
+  }
+  ship.targetDepthLevel = target;
+}
+
+// How much of the surface the player can see: 'surface' (all around),
+// 'periscope' (the periscope cone) or 'blind' (nothing, below periscope
+// depth). The periscope is already up while diving to periscope depth.
+export function getViewMode() {
+  if (!isSubmerged()) return 'surface';
+  const { view } = getDepthLevel();
+  return view === 'surface' ? 'periscope' : view;
+}
+
+// Whether anything reaching `reach` units around (x, y) is in sight
+export function isInSight(x, y, reach = 0) {
+  const viewMode = getViewMode();
+  if (viewMode === 'blind') return false;
+  
+  const dx = x - camera.x;
+  const dy = y - camera.y;
+  const distance = Math.hypot(dx, dy);
+  if (viewMode === 'surface') return distance - reach <= sightConfig.surfaceRange;
+  if (distance - reach > sightConfig.periscopeRange) return false;
+  if (distance <= reach) return true;
+  
+  const angleFromBearing = Math.atan2(dy, dx) - (ship.rotation + ship.periscopeBearing);
+  const offset = Math.atan2(Math.sin(angleFromBearing), Math.cos(angleFromBearing));
+  return Math.abs(offset) <= sightConfig.periscopeHalfAngle + Math.asin(reach / distance);
+}
+
+// Turn the periscope with the z/x keys
+function updatePeriscope(deltaTime) {
+  if (getViewMode() !== 'periscope') return;
+  
+  const turn = sightConfig.periscopeTurnRate * deltaTime;
+  if (keys.z) ship.periscopeBearing -= turn;
+  if (keys.x) ship.periscopeBearing += turn;
+  ship.periscopeBearing = Math.atan2(Math.sin(ship.periscopeBearing), Math.cos(ship.periscopeBearing));
+}
+
+// Key of an iceberg in sightings and sonar echoes
+function getIcebergContactId(iceberg) {
+  return `iceberg:${Math.round(iceberg.x)},${Math.round(iceberg.y)}`;
+}
+
+// Log every contact in sight with its latest position
+function updateSightings() {
+  const viewMode = getViewMode();
+  if (viewMode === 'blind') return;
+  
+  const range = viewMode === 'surface' ? sightConfig.surfaceRange : sightConfig.periscopeRange;
+  const nearbyIcebergs = icebergIndex.queryRadius(camera.x, camera.y, range, icebergsConfig.maxSize);
+  for (const iceberg of nearbyIcebergs) {
+    const id = getIcebergContactId(iceberg);
+    if (sightings.has(id) || !isInSight(iceberg.x, iceberg.y, iceberg.size)) continue;
+    sightings.set(id, { type: 'iceberg', x: iceberg.x, y: iceberg.y, size: iceberg.size, step: voyageSteps });
+  }
+  
+  krakens.forEach((kraken, index) => {
+    if (!isInSight(kraken.x, kraken.y)) return;
+    sightings.set(`kraken:${index}`, { type: 'kraken', x: kraken.x, y: kraken.y, step: voyageSteps });
+  });
+}
+
+// Send out a sonar ping. Only a dived submarine can ping, and only once the
+// sonar is ready again; returns whether the ping went out.
+export function pingSonar() {
+  if (gameState !== 'playing' || !isSubmerged() || sonarCooldown > 0) return false;
+  
+  sonarPing = { x: camera.x, y: camera.y, radius: 0, step: voyageSteps };
+  sonarCooldown = sonarConfig.cooldownSteps;
+  ensureIcebergsGenerated();
+  return true;
+}
+
+// Grow the ping ring and log an echo for every contact it passes
+function updateSonar(deltaTime) {
+  sonarCooldown = Math.max(0, sonarCooldown - deltaTime);
+  
+  for (const [id, echo] of sonarEchoes) {
+    if (voyageSteps - echo.step > sonarConfig.echoDurationSteps) sonarEchoes.delete(id);
+  }
+  
+  // A ring that reached full range last step has been heard by everything
+  if (sonarPing && sonarPing.radius >= sonarConfig.range) sonarPing = null;
+  if (!sonarPing) return;
+  
+  const innerRadius = sonarPing.radius;
+  sonarPing.radius = Math.min(sonarConfig.range, sonarPing.radius + sonarConfig.ringSpeed * deltaTime);
+  const { x, y, radius } = sonarPing;
+  const isInRing = (item) => {
+    const distance = Math.hypot(item.x - x, item.y - y);
+    return distance > innerRadius && distance <= radius;
+  };
+  
+  for (const iceberg of icebergIndex.queryRadius(x, y, radius).filter(isInRing)) {
+    const id = getIcebergContactId(iceberg);
+    sonarEchoes.set(id, { type: 'iceberg', x: iceberg.x, y: iceberg.y, size: iceberg.size, step: voyageSteps });
+  }
+  for (const shipwreck of wreckIndex.queryRadius(x, y, radius).filter(isInRing)) {
+    const id = `wreck:${Math.round(shipwreck.x)},${Math.round(shipwreck.y)}`;
+    sonarEchoes.set(id, { type: 'wreck', x: shipwreck.x, y: shipwreck.y, size: shipwreck.size, step: voyageSteps });
+  }
+  krakens.forEach((kraken, index) => {
+    if (!isInRing(kraken)) return;
+    sonarEchoes.set(`kraken:${index}`, { type: 'kraken', x: kraken.x, y: kraken.y, step: voyageSteps });
+  });
+}
+
+// Advance the world by one fixed step (simulationConfig.stepMs)
+export function stepSimulation() {
+  // Capture even when the voyage is over so interpolation settles in place
+  capturePreviousState();
+  if (gameState !== 'playing') return;
+  voyageSteps++;
+
+  // Rates below are tuned per 60 Hz step, so one step is one unit of time
+  const deltaTime = 1;
+
+  updateWind();
+  updateShip(deltaTime);
+  updateBoilers(deltaTime);
+  updateDepth(deltaTime);
+  updateBattery(deltaTime);
+  updatePeriscope(deltaTime);
+  updateSonar(deltaTime);
+  updateKrakens(deltaTime);
+  checkFuelRigs(deltaTime);
+  
+  // Ensure icebergs are generated for visible area
+  ensureIcebergsGenerated();
+  
+  updateSightings();
+  
+  // Check for collisions
+  checkCollisions();
+  updateFlooding(deltaTime);
+  checkKrakenEncounters();
+  
+  // Check if goal reached
+  checkGoalReached();
+}
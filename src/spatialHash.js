@@ -0,0 +1,113 @@
+// Uniform grid of square cells keyed like the iceberg chunks ("x,y"). Items
+// are bucketed by their center point; queries take a margin so callers can
+// account for how far an item reaches beyond its center.
+export function createSpatialHash(cellSize) {
+  const cells = new Map();
+  let itemCount = 0;
+
+  function cellCoord(value) {
+    return Math.floor(value / cellSize);
+  }
+
+  function cellKey(cellX, cellY) {
+    return `${cellX},${cellY}`;
+  }
+
+  function isInside(item, minX, minY, maxX, maxY) {
+    return item.x >= minX && item.x <= maxX && item.y >= minY && item.y <= maxY;
+  }
+
+  return {
+    cellSize,
+
+    get size() {
+      return itemCount;
+    },
+
+    insert(item) {
+      const key = cellKey(cellCoord(item.x), cellCoord(item.y));
+      let cell = cells.get(key);
+      if (!cell) {
+        cell = [];
+        cells.set(key, cell);
+      }
+      cell.push(item);
+      itemCount++;
+    },
+
+    remove(item) {
+      const key = cellKey(cellCoord(item.x), cellCoord(item.y));
+      const cell = cells.get(key);
+      if (!cell) return false;
+      const index = cell.indexOf(item);
+      if (index === -1) return false;
+      cell.splice(index, 1);
+      if (cell.length === 0) cells.delete(key);
+      itemCount--;
+      return true;
+    },
+
+    // Items whose center lies in a cell, e.g. everything generated for a chunk
+    getCell(cellX, cellY) {
+      return cells.get(cellKey(cellX, cellY)) || [];
+    },
+
+    deleteCell(cellX, cellY) {
+      const key = cellKey(cellX, cellY);
+      const cell = cells.get(key);
+      if (!cell) return;
+      itemCount -= cell.length;
+      cells.delete(key);
+    },
+
+    // Items whose center lies within the box grown by margin on every side
+    query(minX, minY, maxX, maxY, margin = 0) {
+      minX -= margin;
+      minY -= margin;
+      maxX += margin;
+      maxY += margin;
+
+      const results = [];
+      const minCellX = cellCoord(minX);
+      const maxCellX = cellCoord(maxX);
+      const minCellY = cellCoord(minY);
+      const maxCellY = cellCoord(maxY);
+      const cellsInRange = (maxCellX - minCellX + 1) * (maxCellY - minCellY + 1);
+
+      // Huge boxes (a whole-world map) are cheaper to answer by scanning the
+      // occupied cells than by walking every empty cell in range.
+      if (!Number.isFinite(cellsInRange) || cellsInRange > cells.size) {
+        for (const cell of cells.values()) {
+          for (const item of cell) {
+            if (isInside(item, minX, minY, maxX, maxY)) results.push(item);
+          }
+        }
+        return results;
+      }
+
+      for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+        for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+          const cell = cells.get(cellKey(cellX, cellY));
+          if (!cell) continue;
+          for (const item of cell) {
+            if (isInside(item, minX, minY, maxX, maxY)) results.push(item);
+          }
+        }
+      }
+      return results;
+    },
+
+    // Items whose center lies within radius + margin of a point
+    queryRadius(x, y, radius, margin = 0) {
+      const reach = radius + margin;
+      return this.query(x - reach, y - reach, x + reach, y + reach).filter(item =>
+        Math.hypot(item.x - x, item.y - y) <= reach
+      );
+    },
+
+    clear() {
+      cells.clear();
+      itemCount = 0;
+    }
+  };
+}